@@ -0,0 +1,22 @@
+// Command line entry point for the full-workspace backfill
+//
+// Usage:
+//   node src/commands/backfill.js             Resume the last unfinished run, or start one
+//   node src/commands/backfill.js --restart   Start a new run from the beginning
+const db = require('../db');
+const backfill = require('../services/backfill');
+
+async function main() {
+  const restart = process.argv.includes('--restart');
+  await db.initializeTables();
+
+  const run = await backfill.run({ restart });
+  console.log(`Backfill run ${run.id} ${run.status}: ${run.tasks_synced} tasks synced, ${run.tasks_failed} failed`);
+}
+
+main()
+  .catch(error => {
+    console.error('Backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
@@ -0,0 +1,47 @@
+// Command line entry point for database migrations
+//
+// Usage:
+//   node src/commands/migrate.js status               List migrations and whether they are applied
+//   node src/commands/migrate.js up [--dry-run]       Apply pending migrations
+//   node src/commands/migrate.js down [steps] [--dry-run]
+//                                                     Roll back the last migration (or the last steps)
+const db = require('../db');
+
+async function main() {
+  const args = process.argv.slice(2).filter(arg => arg !== '--dry-run');
+  const dryRun = process.argv.includes('--dry-run');
+  const [command = 'status', arg] = args;
+
+  switch (command) {
+    case 'status': {
+      const migrations = await db.migrator.getStatus();
+      console.table(migrations.map(({ version, name, status, applied_at }) => ({
+        version,
+        name,
+        status,
+        applied_at: applied_at ? applied_at.toISOString() : ''
+      })));
+      break;
+    }
+    case 'up': {
+      const applied = await db.migrator.migrate({ dryRun });
+      console.log(`${dryRun ? 'Would apply' : 'Applied'} ${applied.length} migrations`);
+      break;
+    }
+    case 'down': {
+      const steps = parseInt(arg) || 1;
+      const rolledBack = await db.migrator.rollback({ steps, dryRun });
+      console.log(`${dryRun ? 'Would roll back' : 'Rolled back'} ${rolledBack.length} migrations`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (expected status, up or down)`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
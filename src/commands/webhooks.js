@@ -0,0 +1,45 @@
+// Command line entry point for managing the workspace's ClickUp webhooks
+//
+// Usage:
+//   node src/commands/webhooks.js list
+//   node src/commands/webhooks.js reconcile [endpoint]
+//   node src/commands/webhooks.js delete <webhookId>
+const db = require('../db');
+const webhookManager = require('../services/webhookManager');
+
+async function main() {
+  const [command = 'list', arg] = process.argv.slice(2);
+  await db.initializeTables();
+
+  switch (command) {
+    case 'list': {
+      const webhooks = await webhookManager.refreshWebhooks();
+      console.table(webhooks.map(hook => {
+        const { id, endpoint, status, events } = webhookManager.toPublic(hook);
+        return { id, endpoint, status, events: (events || []).join(',') };
+      }));
+      break;
+    }
+    case 'reconcile': {
+      const summary = await webhookManager.reconcile(arg ? { endpoint: arg } : undefined);
+      console.log(JSON.stringify(summary, null, 2));
+      break;
+    }
+    case 'delete': {
+      if (!arg) {
+        throw new Error('Usage: webhooks delete <webhookId>');
+      }
+      await webhookManager.deleteWebhook(arg);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (expected list, reconcile or delete)`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Webhook command failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
@@ -1,9 +1,88 @@
 require('dotenv').config();
 
+/**
+ * Parses "webhookId:secret" pairs separated by commas into a lookup object
+ * @param {string} value - Raw environment variable value
+ * @returns {Object} Map of webhook ID to secret
+ */
+function parseWebhookSecrets(value) {
+  if (!value) return {};
+  return value.split(',').reduce((secrets, pair) => {
+    const [webhookId, secret] = pair.split(':').map(part => part.trim());
+    if (webhookId && secret) {
+      secrets[webhookId] = secret;
+    }
+    return secrets;
+  }, {});
+}
+
 module.exports = {
   clickup: {
     apiToken: process.env.CLICKUP_API_TOKEN,
-    workspaceId: process.env.CLICKUP_WORKSPACE_ID
+    workspaceId: process.env.CLICKUP_WORKSPACE_ID,
+    // Requests per minute allowed for the token; corrected from X-RateLimit-* headers
+    rateLimitPerMinute: parseInt(process.env.CLICKUP_RATE_LIMIT_PER_MINUTE) || 100,
+    retry: {
+      maxAttempts: parseInt(process.env.CLICKUP_RETRY_MAX_ATTEMPTS) || 4,
+      baseDelay: parseInt(process.env.CLICKUP_RETRY_BASE_DELAY_MS) || 1000,
+      maxDelay: parseInt(process.env.CLICKUP_RETRY_MAX_DELAY_MS) || 30 * 1000
+    },
+    circuitBreaker: {
+      // Consecutive failed calls (5xx or network) before calls fail fast
+      failureThreshold: parseInt(process.env.CLICKUP_CIRCUIT_FAILURE_THRESHOLD) || 5,
+      resetTimeout: parseInt(process.env.CLICKUP_CIRCUIT_RESET_MS) || 60 * 1000
+    }
+  },
+  webhook: {
+    // Fallback secret used when a delivery's webhook_id has no dedicated secret
+    secret: process.env.CLICKUP_WEBHOOK_SECRET,
+    secrets: parseWebhookSecrets(process.env.CLICKUP_WEBHOOK_SECRETS),
+    // Public URL of POST /webhook; when set, the webhook is registered on boot
+    endpoint: process.env.CLICKUP_WEBHOOK_ENDPOINT,
+    events: (process.env.CLICKUP_WEBHOOK_EVENTS || '*').split(',').map(event => event.trim()).filter(Boolean)
+  },
+  queue: {
+    // Set QUEUE_WORKERS=false to run the API without consuming jobs
+    workersEnabled: process.env.QUEUE_WORKERS !== 'false',
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 2,
+    pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 1000,
+    visibilityTimeout: parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT_MS) || 5 * 60 * 1000,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+    backoffBase: parseInt(process.env.QUEUE_BACKOFF_BASE_MS) || 5000,
+    backoffMax: parseInt(process.env.QUEUE_BACKOFF_MAX_MS) || 60 * 60 * 1000
+  },
+  polling: {
+    // Minutes between incremental polls; 0 disables polling
+    intervalMinutes: parseInt(process.env.POLL_INTERVAL_MINUTES) || 0,
+    // How far back the first poll looks when no watermark is stored yet
+    initialLookbackHours: parseInt(process.env.POLL_INITIAL_LOOKBACK_HOURS) || 24
+  },
+  timeTracking: {
+    // Days of time entries the backfill syncs
+    backfillDays: parseInt(process.env.TIME_ENTRIES_BACKFILL_DAYS) || 90,
+    // Time zone that decides which day an entry counts towards in utilization
+    timezone: process.env.TIME_ENTRIES_TIMEZONE || 'UTC'
+  },
+  comments: {
+    // Sync each task's comments during the backfill (one or more extra calls per task)
+    backfill: process.env.COMMENTS_BACKFILL !== 'false'
+  },
+  statuses: {
+    // Fill in status history from before the change log with ClickUp's time in
+    // status during the backfill (one extra call per task; needs the ClickApp)
+    timeInStatusBackfill: process.env.TIME_IN_STATUS_BACKFILL === 'true'
+  },
+  fieldMappings: {
+    // How long mappings are cached in the sync path before reloading
+    cacheTtl: parseInt(process.env.FIELD_MAPPING_CACHE_TTL_MS) || 60 * 1000
+  },
+  migrations: {
+    // Apply pending migrations on startup; when false run "npm run migrate"
+    autoRun: process.env.MIGRATIONS_AUTO_RUN !== 'false'
+  },
+  admin: {
+    // Bearer token required by the admin endpoints, which are disabled without it
+    apiToken: process.env.ADMIN_API_TOKEN
   },
   postgres: {
     host: process.env.POSTGRES_HOST || 'host.docker.internal',
@@ -12,4 +91,4 @@ module.exports = {
     user: process.env.POSTGRES_USER || 'postgres',
     password: process.env.POSTGRES_PASSWORD
   }
-}; 
\ No newline at end of file
+};
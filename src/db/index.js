@@ -1,67 +1,37 @@
 // Import required PostgreSQL client and configuration
 const { Pool } = require('pg');
 const config = require('../config/config');
+const Migrator = require('./migrator');
+const { refreshTaskHistoryView } = require('./taskHistoryView');
 
 // Create connection pool using database configuration
 const pool = new Pool(config.postgres);
 
+// Applies the numbered migrations in ./migrations
+const migrator = new Migrator(pool);
+
 /**
- * Initializes database tables and adds custom field columns if they don't exist
+ * Brings the schema up to date by applying pending migrations. With
+ * MIGRATIONS_AUTO_RUN=false pending migrations are only reported and have to
+ * be applied with the migrate command.
  */
 async function initializeTables() {
-  const client = await pool.connect();
-  try {
-    // First check connection
-    const connected = await checkConnection();
-    if (!connected) {
-      throw new Error('Could not establish database connection');
-    }
-
-    await client.query(`
-      -- Core task table with all required fields from ClickUp
-      CREATE TABLE IF NOT EXISTS clickup_task (
-        id TEXT PRIMARY KEY,
-        _airbyte_raw_id TEXT NOT NULL DEFAULT md5(random()::text),
-        _airbyte_extracted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
-        name TEXT,
-        text_content TEXT,
-        description TEXT,
-        status TEXT,
-        date_created TIMESTAMP WITH TIME ZONE,
-        date_updated TIMESTAMP WITH TIME ZONE,
-        date_closed TIMESTAMP WITH TIME ZONE,
-        creator JSONB,
-        assignees JSONB,
-        checklists JSONB,
-        tags JSONB,
-        parent JSONB,
-        priority JSONB,
-        due_date TIMESTAMP WITH TIME ZONE,
-        start_date TIMESTAMP WITH TIME ZONE,
-        points INTEGER,
-        time_estimate INTEGER,
-        time_spent INTEGER,
-        custom_fields JSONB DEFAULT '{}'::jsonb,
-        relationships JSONB DEFAULT '{}'::jsonb,
-        field_values JSONB DEFAULT '{}'::jsonb,
-        custom_type JSONB,
-        list JSONB,
-        folder JSONB,
-        space JSONB,
-        url TEXT,
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-      );
-
-      -- Add indexes
-      CREATE INDEX IF NOT EXISTS idx_task_custom_fields ON clickup_task USING gin (custom_fields);
-      CREATE INDEX IF NOT EXISTS idx_task_field_values ON clickup_task USING gin (field_values);
-      CREATE INDEX IF NOT EXISTS idx_task_updated_at ON clickup_task(updated_at);
-    `);
+  // First check connection
+  const connected = await checkConnection();
+  if (!connected) {
+    throw new Error('Could not establish database connection');
+  }
 
-    console.log('Database tables initialized with ClickUp schema');
-  } finally {
-    client.release();
+  if (!config.migrations.autoRun) {
+    const pending = (await migrator.getStatus()).filter(migration => migration.status === 'pending');
+    if (pending.length > 0) {
+      console.warn(`[Migrations] ${pending.length} pending migrations; run "npm run migrate"`);
+    }
+    return;
   }
+
+  await migrator.migrate();
+  console.log('Database tables initialized with ClickUp schema');
 }
 
 /**
@@ -95,6 +65,334 @@ async function updateTaskField(taskId, fieldName, newValue, client) {
   }
 }
 
+/**
+ * Serializes a value to JSON with object keys sorted, so a value read back
+ * from JSONB compares equal to the value it was written from
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  const sortKeys = (item) => {
+    if (Array.isArray(item)) return item.map(sortKeys);
+    if (item && typeof item === 'object') {
+      return Object.keys(item).sort().reduce((sorted, key) => {
+        sorted[key] = sortKeys(item[key]);
+        return sorted;
+      }, {});
+    }
+    return item;
+  };
+  return JSON.stringify(sortKeys(JSON.parse(JSON.stringify(value ?? null))));
+}
+
+/**
+ * Lists the fields whose value differs between two sets of values
+ * @param {string} kind - 'core' or 'custom'
+ * @param {Object} oldValues - Field name to stored value
+ * @param {Object} newValues - Field name to new value
+ * @param {Array<string>} fieldNames - Fields to compare
+ * @returns {Array<Object>} { field_name, field_kind, old_value, new_value } per changed field
+ */
+function diffFields(kind, oldValues, newValues, fieldNames) {
+  return fieldNames
+    .filter(name => canonicalJson(oldValues[name]) !== canonicalJson(newValues[name]))
+    .map(name => ({
+      field_name: name,
+      field_kind: kind,
+      old_value: oldValues[name] ?? null,
+      new_value: newValues[name] ?? null
+    }));
+}
+
+/**
+ * Writes field changes for a task
+ * @param {Object} client - Database client inside the caller's transaction
+ * @param {string} taskId - ID of the task
+ * @param {Array<Object>} changes - Changes from diffFields
+ * @param {Object} context - Where the changes came from
+ * @param {string} context.source - 'webhook', 'manual', 'backfill' or 'poll'
+ * @param {Object} context.actor - ClickUp user from the webhook history item
+ * @param {string} context.historyItemId - ID of the webhook history item
+ * @param {Date} context.changedAt - When ClickUp says the change was made;
+ *   status transitions are dated now without it
+ * @param {Object} context.fieldContexts - Field name to the { actor,
+ *   historyItemId, changedAt } of the history item that changed it,
+ *   overriding the three above
+ */
+async function recordFieldChanges(client, taskId, changes, context = {}) {
+  for (const change of changes) {
+    const { actor, historyItemId, changedAt } = context.fieldContexts?.[change.field_name] || context;
+    await client.query(`
+      INSERT INTO field_changes (
+        task_id, field_name, field_kind, old_value, new_value, source, actor, history_item_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+      taskId,
+      change.field_name,
+      change.field_kind,
+      change.old_value === null ? null : JSON.stringify(change.old_value),
+      change.new_value === null ? null : JSON.stringify(change.new_value),
+      context.source || null,
+      actor ? JSON.stringify(actor) : null,
+      historyItemId || null
+    ]);
+
+    if (change.field_kind === 'core' && change.field_name === 'status') {
+      await recordStatusTransition(client, taskId, change, changedAt);
+    }
+  }
+}
+
+/**
+ * Records that a task entered a new status. The first transition logged for
+ * a task also records the old status as held since the task was created.
+ * @param {Object} client - Database client inside the caller's transaction
+ * @param {string} taskId - ID of the task
+ * @param {Object} change - Status change from diffFields
+ * @param {Date|null} enteredAt - When the status changed (default now)
+ */
+async function recordStatusTransition(client, taskId, change, enteredAt = null) {
+  if (change.old_value) {
+    await client.query(`
+      INSERT INTO task_status_transition (task_id, status, entered_at, source)
+      SELECT id, lower($2), date_created, 'inferred'
+      FROM clickup_task
+      WHERE id = $1 AND date_created < COALESCE($3::timestamptz, CURRENT_TIMESTAMP)
+      AND NOT EXISTS (SELECT 1 FROM task_status_transition WHERE task_id = $1)
+      ON CONFLICT DO NOTHING
+    `, [taskId, String(change.old_value), enteredAt]);
+  }
+  if (change.new_value) {
+    await client.query(`
+      INSERT INTO task_status_transition (task_id, status, entered_at, source)
+      VALUES ($1, lower($2), COALESCE($3::timestamptz, CURRENT_TIMESTAMP), 'change_log')
+      ON CONFLICT DO NOTHING
+    `, [taskId, String(change.new_value), enteredAt]);
+  }
+}
+
+/**
+ * Closes the current clickup_task_history version of each task and records
+ * its new state. Columns are copied by name, so promoted custom field columns
+ * are included once they exist on both tables.
+ * @param {Object} client - Database client inside the caller's transaction
+ * @param {Array<string>} taskIds - IDs of the tasks that changed
+ */
+async function recordTaskVersions(client, taskIds) {
+  if (taskIds.length === 0) return;
+
+  await client.query(`
+    UPDATE clickup_task_history
+    SET valid_to = CURRENT_TIMESTAMP
+    WHERE task_id = ANY($1) AND valid_to IS NULL
+  `, [taskIds]);
+
+  await client.query(`
+    INSERT INTO clickup_task_history
+    SELECT (jsonb_populate_record(
+      NULL::clickup_task_history,
+      to_jsonb(t) || jsonb_build_object(
+        'history_id', nextval(pg_get_serial_sequence('clickup_task_history', 'history_id')),
+        'task_id', t.id,
+        'valid_from', CURRENT_TIMESTAMP,
+        'valid_to', NULL
+      )
+    )).*
+    FROM clickup_task t
+    WHERE t.id = ANY($1)
+  `, [taskIds]);
+}
+
+/**
+ * Makes sure the space, folder and list a task is in exist, so the task's
+ * hierarchy keys can reference them. Existing rows are left as they are; the
+ * hierarchy sync keeps their details current.
+ * @param {Object} client - Database client inside the caller's transaction
+ * @param {Object} locations - The task's embedded space, folder and list objects
+ */
+async function ensureLocations(client, { space, folder, list }) {
+  const spaceId = space?.id ? String(space.id) : null;
+  const folderId = folder?.id ? String(folder.id) : null;
+
+  if (spaceId) {
+    await client.query(`
+      INSERT INTO clickup_space (id, name) VALUES ($1, $2)
+      ON CONFLICT (id) DO NOTHING
+    `, [spaceId, space.name || null]);
+  }
+  if (folderId) {
+    await client.query(`
+      INSERT INTO clickup_folder (id, space_id, name, hidden) VALUES ($1, $2, $3, $4)
+      ON CONFLICT (id) DO NOTHING
+    `, [folderId, spaceId, folder.name || null, !!folder.hidden]);
+  }
+  if (list?.id) {
+    await client.query(`
+      INSERT INTO clickup_list (id, space_id, folder_id, name) VALUES ($1, $2, $3, $4)
+      ON CONFLICT (id) DO NOTHING
+    `, [String(list.id), spaceId, folderId, list.name || null]);
+  }
+}
+
+/**
+ * Makes sure the users a task refers to exist, so assignments and creator_id
+ * can reference them. Existing rows are left as they are; the member sync
+ * keeps their details current.
+ * @param {Object} client - Database client inside the caller's transaction
+ * @param {Array<Object>} users - Users as returned by clickup.normalizeUser
+ */
+async function ensureUsers(client, users) {
+  if (users.length === 0) return;
+  await client.query(`
+    INSERT INTO clickup_user (id, username, email)
+    SELECT * FROM unnest($1::text[], $2::text[], $3::text[])
+    ON CONFLICT (id) DO NOTHING
+  `, [
+    users.map(user => String(user.id)),
+    users.map(user => user.username || null),
+    users.map(user => user.email || null)
+  ]);
+}
+
+// Join tables linking tasks to users
+const TASK_USER_TABLES = ['task_assignee', 'task_watcher'];
+
+/**
+ * Replaces a task's assignees or watchers, leaving unchanged rows (and their
+ * created_at) in place
+ * @param {Object} client - Database client inside the caller's transaction
+ * @param {string} taskId - ID of the task
+ * @param {string} table - 'task_assignee' or 'task_watcher'
+ * @param {Array<Object>} users - The task's users
+ */
+async function setTaskUsers(client, taskId, table, users) {
+  if (!TASK_USER_TABLES.includes(table)) {
+    throw new Error(`Invalid task user table: ${table}`);
+  }
+
+  const userIds = users.map(user => String(user.id));
+  await client.query(`DELETE FROM ${table} WHERE task_id = $1 AND NOT (user_id = ANY($2))`, [taskId, userIds]);
+  await client.query(`
+    INSERT INTO ${table} (task_id, user_id)
+    SELECT $1, unnest($2::text[])
+    ON CONFLICT DO NOTHING
+  `, [taskId, userIds]);
+}
+
+/**
+ * Stores the people on a task: its assignees and watchers, plus the creator
+ * and users referenced by "users" fields so they can be joined to. Lists
+ * passed as null are left as they are.
+ * @param {Object} client - Database client inside the caller's transaction
+ * @param {string} taskId - ID of the task
+ * @param {Object} people - Normalized users
+ * @param {Array|null} people.assignees - Assignees
+ * @param {Array|null} people.watchers - Watchers
+ * @param {Object|null} people.creator - Creator
+ * @param {Array} people.referenced - Users from "users" custom fields
+ */
+async function updateTaskPeople(client, taskId, { assignees = null, watchers = null, creator = null, referenced = [] }) {
+  await ensureUsers(client, [...(assignees || []), ...(watchers || []), creator, ...referenced].filter(Boolean));
+  if (assignees) {
+    await setTaskUsers(client, taskId, 'task_assignee', assignees);
+  }
+  if (watchers) {
+    await setTaskUsers(client, taskId, 'task_watcher', watchers);
+  }
+}
+
+/**
+ * Saves a list's status workflow to list_status. Statuses no longer on the
+ * list are marked deleted rather than removed, so transitions into them keep
+ * their type.
+ * @param {Object} client - Database client inside the caller's transaction
+ * @param {string} listId - ID of the list
+ * @param {Array<Object>} statuses - Statuses as ClickUp reports them
+ *   ({ id, status, type, orderindex, color })
+ */
+async function setListStatuses(client, listId, statuses) {
+  // Status names are matched case-insensitively, as ClickUp does
+  const byName = new Map(statuses
+    .filter(status => status?.status)
+    .map(status => [status.status.toLowerCase(), status]));
+
+  for (const [name, status] of byName) {
+    await client.query(`
+      INSERT INTO list_status (list_id, status, status_id, type, orderindex, color, deleted_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NULL, CURRENT_TIMESTAMP)
+      ON CONFLICT (list_id, status) DO UPDATE SET
+        status_id = EXCLUDED.status_id,
+        type = EXCLUDED.type,
+        orderindex = EXCLUDED.orderindex,
+        color = EXCLUDED.color,
+        deleted_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      String(listId),
+      name,
+      status.id ? String(status.id) : null,
+      status.type ?? null,
+      status.orderindex ?? null,
+      status.color ?? null
+    ]);
+  }
+
+  await client.query(`
+    UPDATE list_status
+    SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE list_id = $1 AND deleted_at IS NULL AND NOT (status = ANY($2))
+  `, [String(listId), [...byName.keys()]]);
+}
+
+/**
+ * Replaces a task's tags, saving each tag to its space's tag list
+ * @param {Object} client - Database client inside the caller's transaction
+ * @param {string} taskId - ID of the task
+ * @param {string|null} spaceId - ID of the task's space; tags are skipped without one
+ * @param {Array<Object>} tags - Tags as ClickUp reports them ({ name, tag_fg, tag_bg })
+ */
+async function setTaskTags(client, taskId, spaceId, tags) {
+  if (!spaceId) return;
+
+  // A tag can only be written once per statement
+  const byName = new Map(tags.filter(tag => tag?.name).map(tag => [tag.name, tag]));
+  const names = [...byName.keys()];
+
+  if (names.length > 0) {
+    await client.query(`
+      INSERT INTO clickup_tag (space_id, name, tag_fg, tag_bg)
+      SELECT $1, * FROM unnest($2::text[], $3::text[], $4::text[])
+      ON CONFLICT (space_id, name) DO UPDATE SET
+        tag_fg = COALESCE(EXCLUDED.tag_fg, clickup_tag.tag_fg),
+        tag_bg = COALESCE(EXCLUDED.tag_bg, clickup_tag.tag_bg),
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      String(spaceId),
+      names,
+      names.map(name => byName.get(name).tag_fg || null),
+      names.map(name => byName.get(name).tag_bg || null)
+    ]);
+  }
+
+  await client.query('DELETE FROM task_tag WHERE task_id = $1 AND NOT (name = ANY($2))', [taskId, names]);
+  await client.query(`
+    INSERT INTO task_tag (task_id, space_id, name)
+    SELECT $1, $2, unnest($3::text[])
+    ON CONFLICT (task_id, name) DO UPDATE SET space_id = EXCLUDED.space_id
+  `, [taskId, String(spaceId), names]);
+}
+
+/**
+ * Gets the value of each field_values entry
+ * @param {Object} fieldValues - field_values object
+ * @returns {Object} Storage key to value
+ */
+function getEntryValues(fieldValues) {
+  return Object.fromEntries(
+    Object.entries(fieldValues || {}).map(([key, entry]) => [key, entry?.value ?? null])
+  );
+}
+
 /**
  * Checks if a task exists in the database
  * @param {string} taskId - ID of the task to check
@@ -109,14 +407,70 @@ async function checkTaskExists(taskId) {
 }
 
 /**
- * Updates task custom fields and relationships
+ * Creates a task row; concurrent syncs creating the same task leave the
+ * first row in place
+ * @param {Object} client - Database client inside the caller's transaction
+ * @param {string} taskId - ID of the task
+ * @param {Object} row - Row values (see updateTaskCustomFields fieldData.newTask)
+ */
+async function insertTask(client, taskId, row) {
+  console.log('[DB] Creating new task record:', taskId);
+  await client.query(`
+    INSERT INTO clickup_task (
+      id,
+      _airbyte_raw_id,
+      _airbyte_extracted_at,
+      name,
+      text_content,
+      description,
+      status,
+      date_created,
+      date_updated,
+      creator,
+      custom_fields,
+      relationships,
+      field_values,
+      custom_type,
+      updated_at
+    ) VALUES ($1, $2, CURRENT_TIMESTAMP, $3, $4, $5, $6, $7, $8, $9, '{}', '{}', '{}', $10, CURRENT_TIMESTAMP)
+    ON CONFLICT (id) DO NOTHING
+  `, [
+    taskId,
+    `manual_${taskId}`,
+    row.name ?? null,
+    row.text_content ?? null,
+    row.description ?? null,
+    row.status ?? null,
+    row.date_created || null,
+    row.date_updated || null,
+    JSON.stringify(row.creator || {}),
+    JSON.stringify(row.custom_type || {})
+  ]);
+}
+
+/**
+ * Updates task custom fields and relationships, recording a field_changes row
+ * for every core or custom field value that changed. Nothing is written when
+ * the task is unchanged.
  * @param {string} taskId - ID of the task
  * @param {Object} fieldData - Structured field data
  * @param {Object} fieldData.customFields - Field definitions/metadata
  * @param {Object} fieldData.relationships - Parent/child relationships
  * @param {Object} fieldData.fieldValues - Actual field values
+ * @param {Object} fieldData.columns - Values for promoted custom field columns
+ * @param {Array} fieldData.assignees - Assignees (null keeps the stored ones)
+ * @param {Array} fieldData.watchers - Watchers (null keeps the stored ones)
+ * @param {Array} fieldData.tags - Tags (null keeps the stored ones); task_tag
+ *   is written by updateTaskContents
+ * @param {Object} fieldData.creator - Creator
+ * @param {Array} fieldData.referencedUsers - Users from "users" custom fields
+ * @param {Object} fieldData.newTask - Row values to create the task with when
+ *   it isn't stored yet: name, text_content, description, status,
+ *   date_created, date_updated, creator and custom_type
+ * @param {Object} context - Where the changes came from (see recordFieldChanges)
+ * @returns {Promise<Object|null>} Task or null if task not found
  */
-async function updateTaskCustomFields(taskId, fieldData) {
+async function updateTaskCustomFields(taskId, fieldData, context = {}) {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
@@ -128,16 +482,98 @@ async function updateTaskCustomFields(taskId, fieldData) {
       fieldValuesCount: Object.keys(fieldData.fieldValues || {}).length
     });
 
+    // Lock the row so concurrent syncs diff against each other's writes
+    let current = await client.query('SELECT * FROM clickup_task WHERE id = $1 FOR UPDATE', [taskId]);
+    const created = current.rowCount === 0 && !!fieldData.newTask;
+    if (created) {
+      await insertTask(client, taskId, fieldData.newTask);
+      current = await client.query('SELECT * FROM clickup_task WHERE id = $1 FOR UPDATE', [taskId]);
+    }
+    if (current.rowCount === 0) {
+      console.error('[DB] No rows were updated for task:', taskId);
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const task = current.rows[0];
+
+    // Core fields left null keep their stored value
+    const coreValues = {};
+    for (const column of ['name', 'status', 'description', 'space', 'folder', 'list', 'assignees', 'tags', 'creator']) {
+      if (fieldData[column] !== null && fieldData[column] !== undefined) {
+        coreValues[column] = fieldData[column];
+      }
+    }
+
+    const storedValues = task.field_values || {};
+    const oldCustom = getEntryValues(storedValues);
+    const newCustom = getEntryValues(fieldData.fieldValues);
+    const customNames = [...new Set([...Object.keys(oldCustom), ...Object.keys(newCustom)])];
+    const changes = [
+      ...diffFields('core', task, coreValues, Object.keys(coreValues)),
+      ...diffFields('custom', oldCustom, newCustom, customNames)
+    ];
+
+    // Unchanged entries keep their updated_at, so it tells when the value last changed
+    const fieldValues = {};
+    for (const [key, entry] of Object.entries(fieldData.fieldValues || {})) {
+      const stored = storedValues[key];
+      const unchanged = stored?.updated_at && canonicalJson(stored.value) === canonicalJson(entry.value);
+      fieldValues[key] = unchanged ? { ...entry, updated_at: stored.updated_at } : entry;
+    }
+
+    // Watchers have no task column, so the join tables are kept current even
+    // when the task row itself is unchanged
+    await updateTaskPeople(client, taskId, {
+      assignees: coreValues.assignees || null,
+      watchers: fieldData.watchers || null,
+      creator: coreValues.creator || null,
+      referenced: fieldData.referencedUsers || []
+    });
+
+    const unchanged = !created
+      && changes.length === 0
+      && canonicalJson(task.custom_fields || {}) === canonicalJson(fieldData.customFields || {})
+      && canonicalJson(task.relationships || {}) === canonicalJson(fieldData.relationships || {})
+      && canonicalJson(storedValues) === canonicalJson(fieldValues);
+    if (unchanged) {
+      await client.query('COMMIT');
+      console.log('[DB] Task unchanged, skipping write:', taskId);
+      return task;
+    }
+
+    if (coreValues.space || coreValues.folder || coreValues.list) {
+      await ensureLocations(client, {
+        space: coreValues.space || task.space,
+        folder: coreValues.folder || task.folder,
+        list: coreValues.list || task.list
+      });
+    }
+
+    // Promoted column names come from validated field mappings
+    const columns = Object.keys(fieldData.columns || {});
+    const columnAssignments = columns.map((column, i) => `"${column}" = $${i + 14},`).join('\n        ');
+
     // Update existing task with ALL fields
     const query = `
       UPDATE clickup_task 
       SET 
+        ${columnAssignments}
         custom_fields = $2,
         relationships = $3,
         field_values = $4,
         status = COALESCE($5, status),
         name = COALESCE($6, name),
         description = COALESCE($7, description),
+        space = COALESCE($8::jsonb, space),
+        space_id = COALESCE($8::jsonb->>'id', space_id),
+        folder = COALESCE($9::jsonb, folder),
+        folder_id = COALESCE($9::jsonb->>'id', folder_id),
+        list = COALESCE($10::jsonb, list),
+        list_id = COALESCE($10::jsonb->>'id', list_id),
+        assignees = COALESCE($11::jsonb, assignees),
+        creator = COALESCE($12::jsonb, creator),
+        creator_id = COALESCE($12::jsonb->>'id', creator_id),
+        tags = COALESCE($13::jsonb, tags),
         date_updated = CURRENT_TIMESTAMP,
         _airbyte_extracted_at = CURRENT_TIMESTAMP,
         updated_at = CURRENT_TIMESTAMP
@@ -149,22 +585,27 @@ async function updateTaskCustomFields(taskId, fieldData) {
       taskId,
       JSON.stringify(fieldData.customFields || {}),
       JSON.stringify(fieldData.relationships || {}),
-      JSON.stringify(fieldData.fieldValues || {}),
+      JSON.stringify(fieldValues),
       fieldData.status,
       fieldData.name,
-      fieldData.description
+      fieldData.description,
+      coreValues.space ? JSON.stringify(coreValues.space) : null,
+      coreValues.folder ? JSON.stringify(coreValues.folder) : null,
+      coreValues.list ? JSON.stringify(coreValues.list) : null,
+      coreValues.assignees ? JSON.stringify(coreValues.assignees) : null,
+      coreValues.creator ? JSON.stringify(coreValues.creator) : null,
+      coreValues.tags ? JSON.stringify(coreValues.tags) : null,
+      ...columns.map(column => fieldData.columns[column])
     ]);
 
-    if (result.rowCount === 0) {
-      console.error('[DB] No rows were updated for task:', taskId);
-      await client.query('ROLLBACK');
-      return null;
-    }
+    await recordFieldChanges(client, taskId, changes, context);
+    await recordTaskVersions(client, [taskId]);
 
     console.log('[DB] Successfully updated task:', {
       taskId,
       name: result.rows[0].name,
       status: result.rows[0].status,
+      changes: changes.map(change => change.field_name),
       updatedAt: result.rows[0].updated_at
     });
 
@@ -185,6 +626,173 @@ async function updateTaskCustomFields(taskId, fieldData) {
   }
 }
 
+// Core task columns that can be updated directly from webhook history items
+const TASK_CORE_COLUMNS = {
+  name: 'text',
+  status: 'text',
+  priority: 'jsonb',
+  assignees: 'jsonb',
+  tags: 'jsonb',
+  due_date: 'timestamp',
+  start_date: 'timestamp',
+  points: 'number',
+  time_estimate: 'number',
+  time_spent: 'number',
+  list: 'jsonb',
+  folder: 'jsonb',
+  space: 'jsonb'
+};
+
+/**
+ * Updates a subset of a task's core columns, recording a field_changes row for
+ * each column whose value changed
+ * @param {string} taskId - ID of the task
+ * @param {Object} fields - Column name to new value
+ * @param {Object} context - Where the changes came from (see recordFieldChanges)
+ * @returns {Promise<Object|null>} Updated task or null if task not found
+ */
+async function updateTaskCoreFields(taskId, fields, context = {}) {
+  const requested = Object.keys(fields).filter(column => TASK_CORE_COLUMNS[column]);
+  if (requested.length === 0) {
+    return getTaskById(taskId);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query('SELECT * FROM clickup_task WHERE id = $1 FOR UPDATE', [taskId]);
+    if (current.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const changes = diffFields('core', current.rows[0], fields, requested);
+    if (changes.length === 0) {
+      await client.query('COMMIT');
+      return current.rows[0];
+    }
+
+    const columns = changes.map(change => change.field_name);
+    const values = columns.map(column => (
+      TASK_CORE_COLUMNS[column] === 'jsonb' && fields[column] !== null
+        ? JSON.stringify(fields[column])
+        : fields[column]
+    ));
+
+    // Moves also update the task's hierarchy keys
+    const moved = ['space', 'folder', 'list'].filter(kind => columns.includes(kind));
+    if (moved.length > 0) {
+      const task = current.rows[0];
+      await ensureLocations(client, {
+        space: columns.includes('space') ? fields.space : task.space,
+        folder: columns.includes('folder') ? fields.folder : task.folder,
+        list: columns.includes('list') ? fields.list : task.list
+      });
+      for (const kind of moved) {
+        columns.push(`${kind}_id`);
+        values.push(fields[kind]?.id ? String(fields[kind].id) : null);
+      }
+    }
+    if (columns.includes('assignees')) {
+      await updateTaskPeople(client, taskId, { assignees: fields.assignees || [] });
+    }
+    if (columns.includes('tags')) {
+      const spaceId = fields.space?.id || current.rows[0].space_id;
+      await setTaskTags(client, taskId, spaceId, fields.tags || []);
+    }
+    const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+
+    const result = await client.query(`
+      UPDATE clickup_task
+      SET ${assignments.join(', ')},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [taskId, ...values]);
+
+    await recordFieldChanges(client, taskId, changes, context);
+    await recordTaskVersions(client, [taskId]);
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Updates the embedded list, folder or space object on every task it contains
+ * @param {string} kind - One of 'list', 'folder' or 'space'
+ * @param {string} id - ID of the list, folder or space
+ * @param {Object} value - New embedded object
+ * @returns {Promise<number>} Number of tasks updated
+ */
+async function updateTaskLocation(kind, id, value) {
+  if (!['list', 'folder', 'space'].includes(kind)) {
+    throw new Error(`Invalid task location: ${kind}`);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      UPDATE clickup_task
+      SET ${kind} = $2,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE ${kind}->>'id' = $1
+      AND ${kind} IS DISTINCT FROM $2::jsonb
+      RETURNING id
+    `, [id, JSON.stringify(value)]);
+
+    await recordTaskVersions(client, result.rows.map(row => row.id));
+
+    await client.query('COMMIT');
+    return result.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Deletes a task
+ * @param {string} taskId - ID of the task
+ * @returns {Promise<boolean>} Whether a task was deleted
+ */
+async function deleteTask(taskId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query('DELETE FROM clickup_task WHERE id = $1', [taskId]);
+
+    // ClickUp drops a deleted task's dependencies and links with it
+    await client.query('DELETE FROM task_links WHERE task_id = $1 OR target_id = $1', [taskId]);
+
+    // The last version stays in the history, closed at the deletion
+    await client.query(`
+      UPDATE clickup_task_history
+      SET valid_to = CURRENT_TIMESTAMP
+      WHERE task_id = $1 AND valid_to IS NULL
+    `, [taskId]);
+
+    await client.query('COMMIT');
+    return result.rowCount > 0;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Updates task relationships
  * @param {string} taskId - ID of the task
@@ -221,17 +829,24 @@ async function updateTaskRelationships(taskId, relationships) {
       }
     }
 
+    // Only write (and version) the task when a relationship actually changed
     const query = `
+      WITH target AS (
+        SELECT $2::text AS parent_id, (
+          SELECT id FROM task_types 
+          WHERE name = $3
+          LIMIT 1
+        ) AS task_type_id
+      )
       UPDATE clickup_task 
-      SET parent_id = $2,
-          task_type_id = (
-            SELECT id FROM task_types 
-            WHERE name = $3
-            LIMIT 1
-          ),
+      SET parent_id = target.parent_id,
+          task_type_id = target.task_type_id,
           updated_at = CURRENT_TIMESTAMP
+      FROM target
       WHERE id = $1
-      RETURNING *
+      AND (clickup_task.parent_id IS DISTINCT FROM target.parent_id
+        OR clickup_task.task_type_id IS DISTINCT FROM target.task_type_id)
+      RETURNING clickup_task.*
     `;
 
     const result = await client.query(query, [
@@ -240,8 +855,22 @@ async function updateTaskRelationships(taskId, relationships) {
       relationships.custom_type
     ]);
 
+    // Subtasks synced before their parent were stored without parent_id
+    const adopted = await client.query(`
+      UPDATE clickup_task
+      SET parent_id = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE relationships->>'parent_id' = $1 AND parent_id IS NULL
+      RETURNING id
+    `, [taskId]);
+
+    const changedIds = adopted.rows.map(row => row.id);
+    if (result.rowCount > 0) {
+      changedIds.push(taskId);
+    }
+    await recordTaskVersions(client, changedIds);
+
     await client.query('COMMIT');
-    return result.rows[0];
+    return result.rows[0] || getTaskById(taskId);
 
   } catch (error) {
     await client.query('ROLLBACK');
@@ -256,6 +885,516 @@ async function updateTaskRelationships(taskId, relationships) {
   }
 }
 
+/**
+ * Replaces the stored links of a task. Dependencies and linked tasks are
+ * stored once per pair but reported on both tasks, so every edge of those
+ * types touching the task is replaced; "tasks" field edges belong to the task
+ * holding the field. Link types passed as null are left as they are.
+ * @param {string} taskId - ID of the task
+ * @param {Object} links - Links by type, each an array of
+ *   { task_id, target_id, field_id, created_by, date_created }
+ * @param {Array|null} links.depends_on - Dependencies the task is part of
+ * @param {Array|null} links.linked - Linked tasks
+ * @param {Array|null} links.field - Tasks referenced by the task's "tasks" fields
+ * @returns {Promise<number>} Number of links stored
+ */
+async function updateTaskLinks(taskId, links) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    let count = 0;
+    for (const [linkType, edges] of Object.entries(links)) {
+      if (!edges) continue;
+
+      if (linkType === 'field') {
+        await client.query(`DELETE FROM task_links WHERE task_id = $1 AND link_type = 'field'`, [taskId]);
+      } else {
+        await client.query(`
+          DELETE FROM task_links
+          WHERE link_type = $2 AND (task_id = $1 OR target_id = $1)
+        `, [taskId, linkType]);
+      }
+
+      for (const edge of edges) {
+        await client.query(`
+          INSERT INTO task_links (task_id, target_id, link_type, field_id, created_by, date_created, updated_at)
+          VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+          ON CONFLICT (task_id, link_type, target_id, field_id) DO NOTHING
+        `, [
+          edge.task_id,
+          edge.target_id,
+          linkType,
+          edge.field_id || '',
+          edge.created_by || null,
+          edge.date_created || null
+        ]);
+      }
+      count += edges.length;
+    }
+
+    await client.query('COMMIT');
+    return count;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Replaces a task's checklists, tags and attachments. Collections passed as
+ * null are left as they are.
+ * @param {string} taskId - ID of the task
+ * @param {Object} contents - Normalized task contents
+ * @param {string} contents.spaceId - ID of the task's space, which owns its tags
+ * @param {Array|null} contents.checklists - Checklists, each with its items
+ * @param {Array|null} contents.tags - Tags
+ * @param {Array|null} contents.attachments - Attachments
+ */
+async function updateTaskContents(taskId, { spaceId = null, checklists = null, tags = null, attachments = null }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (checklists) {
+      const items = checklists.flatMap(checklist => checklist.items);
+      await ensureUsers(client, items.map(item => item.assignee).filter(Boolean));
+
+      for (const checklist of checklists) {
+        await client.query(`
+          INSERT INTO task_checklist (id, task_id, name, orderindex, updated_at)
+          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+          ON CONFLICT (id) DO UPDATE SET
+            task_id = EXCLUDED.task_id,
+            name = EXCLUDED.name,
+            orderindex = EXCLUDED.orderindex,
+            updated_at = CURRENT_TIMESTAMP
+        `, [checklist.id, taskId, checklist.name, checklist.orderindex]);
+
+        for (const item of checklist.items) {
+          await client.query(`
+            INSERT INTO task_checklist_item (
+              id, checklist_id, task_id, parent_id, name, orderindex, resolved,
+              assignee_id, date_created, updated_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP)
+            ON CONFLICT (id) DO UPDATE SET
+              checklist_id = EXCLUDED.checklist_id,
+              task_id = EXCLUDED.task_id,
+              parent_id = EXCLUDED.parent_id,
+              name = EXCLUDED.name,
+              orderindex = EXCLUDED.orderindex,
+              resolved = EXCLUDED.resolved,
+              assignee_id = EXCLUDED.assignee_id,
+              updated_at = CURRENT_TIMESTAMP
+          `, [
+            item.id,
+            checklist.id,
+            taskId,
+            item.parent_id,
+            item.name,
+            item.orderindex,
+            item.resolved,
+            item.assignee ? String(item.assignee.id) : null,
+            item.date_created
+          ]);
+        }
+      }
+
+      await client.query(
+        'DELETE FROM task_checklist_item WHERE task_id = $1 AND NOT (id = ANY($2))',
+        [taskId, items.map(item => item.id)]
+      );
+      await client.query(
+        'DELETE FROM task_checklist WHERE task_id = $1 AND NOT (id = ANY($2))',
+        [taskId, checklists.map(checklist => checklist.id)]
+      );
+    }
+
+    if (tags) {
+      await setTaskTags(client, taskId, spaceId, tags);
+    }
+
+    if (attachments) {
+      await ensureUsers(client, attachments.map(attachment => attachment.user).filter(Boolean));
+
+      for (const attachment of attachments) {
+        await client.query(`
+          INSERT INTO task_attachment (
+            id, task_id, title, extension, mimetype, size, url, thumbnail_url,
+            user_id, date_created, updated_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP)
+          ON CONFLICT (id) DO UPDATE SET
+            task_id = EXCLUDED.task_id,
+            title = EXCLUDED.title,
+            extension = EXCLUDED.extension,
+            mimetype = EXCLUDED.mimetype,
+            size = EXCLUDED.size,
+            url = EXCLUDED.url,
+            thumbnail_url = EXCLUDED.thumbnail_url,
+            updated_at = CURRENT_TIMESTAMP
+        `, [
+          attachment.id,
+          taskId,
+          attachment.title,
+          attachment.extension,
+          attachment.mimetype,
+          attachment.size,
+          attachment.url,
+          attachment.thumbnail_url,
+          attachment.user ? String(attachment.user.id) : null,
+          attachment.date_created
+        ]);
+      }
+
+      await client.query(
+        'DELETE FROM task_attachment WHERE task_id = $1 AND NOT (id = ANY($2))',
+        [taskId, attachments.map(attachment => attachment.id)]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Gets a task's checklists with their items and how much of each is done
+ * @param {string} taskId - ID of the task
+ * @returns {Promise<Object>} { total_items, resolved_items, completion,
+ *   checklists } where completion is a percentage (null without items)
+ */
+async function getTaskChecklists(taskId) {
+  const [checklists, items] = await Promise.all([
+    pool.query('SELECT id, name, orderindex FROM task_checklist WHERE task_id = $1 ORDER BY orderindex, id', [taskId]),
+    pool.query(`
+      SELECT i.id, i.checklist_id, i.parent_id, i.name, i.orderindex, i.resolved,
+        i.date_created, i.assignee_id, u.username AS assignee_username, u.email AS assignee_email
+      FROM task_checklist_item i
+      LEFT JOIN clickup_user u ON u.id = i.assignee_id
+      WHERE i.task_id = $1
+      ORDER BY i.orderindex, i.id
+    `, [taskId])
+  ]);
+
+  const completion = (resolved, total) => (total > 0 ? Math.round(resolved / total * 1000) / 10 : null);
+
+  const result = checklists.rows.map(checklist => {
+    const checklistItems = items.rows.filter(item => item.checklist_id === checklist.id);
+    const resolved = checklistItems.filter(item => item.resolved).length;
+    return {
+      ...checklist,
+      total_items: checklistItems.length,
+      resolved_items: resolved,
+      completion: completion(resolved, checklistItems.length),
+      items: checklistItems
+    };
+  });
+
+  const totalItems = items.rows.length;
+  const resolvedItems = items.rows.filter(item => item.resolved).length;
+  return {
+    task_id: taskId,
+    total_items: totalItems,
+    resolved_items: resolvedItems,
+    completion: completion(resolvedItems, totalItems),
+    checklists: result
+  };
+}
+
+/**
+ * Gets the checklist completion of every task with checklist items
+ * @param {Object} filters - Task filters
+ * @param {string} filters.listId - Only tasks in this list
+ * @param {string} filters.spaceId - Only tasks in this space
+ * @param {boolean} filters.openOnly - Skip closed tasks
+ * @param {boolean} filters.incompleteOnly - Skip tasks with every item resolved
+ * @param {number} filters.limit - Maximum number of tasks (default 100)
+ * @returns {Promise<Array>} Tasks, least complete first
+ */
+async function getChecklistCompletion(filters = {}) {
+  const { listId = null, spaceId = null, openOnly = false, incompleteOnly = false, limit = 100 } = filters;
+  const result = await pool.query(`
+    SELECT * FROM (
+      SELECT
+        t.id AS task_id,
+        t.name,
+        t.status,
+        COUNT(i.id)::int AS total_items,
+        COUNT(i.id) FILTER (WHERE i.resolved)::int AS resolved_items,
+        ROUND(COUNT(i.id) FILTER (WHERE i.resolved) * 100.0 / COUNT(i.id), 1)::float AS completion
+      FROM clickup_task t
+      JOIN task_checklist_item i ON i.task_id = t.id
+      WHERE ($1::text IS NULL OR t.list_id = $1)
+      AND ($2::text IS NULL OR t.space_id = $2)
+      AND (NOT $3 OR t.date_closed IS NULL)
+      GROUP BY t.id, t.name, t.status
+    ) tasks
+    WHERE NOT $4 OR resolved_items < total_items
+    ORDER BY completion, task_id
+    LIMIT $5
+  `, [listId, spaceId, openOnly, incompleteOnly, limit]);
+  return result.rows;
+}
+
+/**
+ * Gets the tags defined in each space with how many tasks carry them
+ * @param {string|null} spaceId - Only tags of this space
+ * @returns {Promise<Array>} Tags ordered by space and name
+ */
+async function getTags(spaceId = null) {
+  const result = await pool.query(`
+    SELECT g.space_id, g.name, g.tag_fg, g.tag_bg, COUNT(tt.task_id)::int AS task_count
+    FROM clickup_tag g
+    LEFT JOIN task_tag tt ON tt.space_id = g.space_id AND tt.name = g.name
+    WHERE $1::text IS NULL OR g.space_id = $1
+    GROUP BY g.space_id, g.name, g.tag_fg, g.tag_bg
+    ORDER BY g.space_id, g.name
+  `, [spaceId]);
+  return result.rows;
+}
+
+/**
+ * Finds tasks by tag
+ * @param {Array<string>} tags - Tag names (case-insensitive)
+ * @param {Object} options - Query options
+ * @param {string} options.match - 'any' (default) or 'all' of the tags
+ * @param {string} options.spaceId - Only tasks in this space
+ * @param {string} options.listId - Only tasks in this list
+ * @param {boolean} options.openOnly - Skip closed tasks
+ * @param {number} options.limit - Maximum number of tasks (default 100)
+ * @returns {Promise<Array>} Tasks with their tag names
+ */
+async function findTasksByTags(tags, options = {}) {
+  const { match = 'any', spaceId = null, listId = null, openOnly = false, limit = 100 } = options;
+  const names = tags.map(tag => tag.toLowerCase());
+  const result = await pool.query(`
+    SELECT t.id, t.name, t.status, t.list_id, t.space_id, t.due_date, t.date_closed,
+      array_agg(tt.name ORDER BY tt.name) AS tags
+    FROM clickup_task t
+    JOIN task_tag tt ON tt.task_id = t.id
+    WHERE ($3::text IS NULL OR t.space_id = $3)
+    AND ($4::text IS NULL OR t.list_id = $4)
+    AND (NOT $5 OR t.date_closed IS NULL)
+    GROUP BY t.id
+    HAVING COUNT(DISTINCT lower(tt.name)) FILTER (WHERE lower(tt.name) = ANY($1))
+      >= CASE WHEN $2 = 'all' THEN cardinality($1) ELSE 1 END
+    ORDER BY t.date_updated DESC NULLS LAST, t.id
+    LIMIT $6
+  `, [names, match, spaceId, listId, openOnly, limit]);
+  return result.rows;
+}
+
+/**
+ * Gets a task's attachments with their uploader
+ * @param {string} taskId - ID of the task
+ * @returns {Promise<Array>} Attachments, newest first
+ */
+async function getTaskAttachments(taskId) {
+  const result = await pool.query(`
+    SELECT a.id, a.title, a.extension, a.mimetype, a.size, a.url, a.thumbnail_url,
+      a.date_created, a.user_id, u.username, u.email
+    FROM task_attachment a
+    LEFT JOIN clickup_user u ON u.id = a.user_id
+    WHERE a.task_id = $1
+    ORDER BY a.date_created DESC NULLS LAST, a.id
+  `, [taskId]);
+  return result.rows;
+}
+
+/**
+ * Gets every link touching a task, from the task's point of view
+ * @param {string} taskId - ID of the task
+ * @returns {Promise<Array>} Links with direction ('outgoing' or 'incoming')
+ *   and the other task's name and status, when it is stored
+ */
+async function getTaskLinks(taskId) {
+  const result = await pool.query(`
+    SELECT
+      l.link_type,
+      CASE WHEN l.task_id = $1 THEN 'outgoing' ELSE 'incoming' END AS direction,
+      CASE WHEN l.task_id = $1 THEN l.target_id ELSE l.task_id END AS other_id,
+      NULLIF(l.field_id, '') AS field_id,
+      l.created_by,
+      l.date_created,
+      t.name AS other_name,
+      t.status AS other_status
+    FROM task_links l
+    LEFT JOIN clickup_task t ON t.id = CASE WHEN l.task_id = $1 THEN l.target_id ELSE l.task_id END
+    WHERE l.task_id = $1 OR l.target_id = $1
+    ORDER BY l.link_type, l.date_created NULLS LAST
+  `, [taskId]);
+  return result.rows;
+}
+
+/**
+ * Gets a task's parent, grandparent and so on
+ * @param {string} taskId - ID of the task
+ * @returns {Promise<Array>} Ancestors, nearest first, with their depth
+ */
+async function getTaskAncestors(taskId) {
+  const result = await pool.query(`
+    WITH RECURSIVE ancestors AS (
+      SELECT p.id, p.name, p.status, p.parent_id, 1 AS depth, ARRAY[t.id, p.id] AS path
+      FROM clickup_task t
+      JOIN clickup_task p ON p.id = t.parent_id
+      WHERE t.id = $1
+      UNION ALL
+      SELECT p.id, p.name, p.status, p.parent_id, a.depth + 1, a.path || p.id
+      FROM ancestors a
+      JOIN clickup_task p ON p.id = a.parent_id
+      WHERE NOT p.id = ANY(a.path)
+    )
+    SELECT id, name, status, parent_id, depth FROM ancestors
+    ORDER BY depth
+  `, [taskId]);
+  return result.rows;
+}
+
+/**
+ * Gets a task's subtasks, their subtasks and so on
+ * @param {string} taskId - ID of the task
+ * @param {Object} options - Query options
+ * @param {number} options.maxDepth - Levels to descend (default unlimited)
+ * @returns {Promise<Array>} Descendants in depth-first order, with their depth
+ */
+async function getTaskDescendants(taskId, options = {}) {
+  const { maxDepth = null } = options;
+  const result = await pool.query(`
+    WITH RECURSIVE descendants AS (
+      SELECT c.id, c.name, c.status, c.parent_id, c.date_closed, 1 AS depth, ARRAY[$1::text, c.id] AS path
+      FROM clickup_task c
+      WHERE c.parent_id = $1
+      AND ($2::int IS NULL OR $2 > 0)
+      UNION ALL
+      SELECT c.id, c.name, c.status, c.parent_id, c.date_closed, d.depth + 1, d.path || c.id
+      FROM descendants d
+      JOIN clickup_task c ON c.parent_id = d.id
+      WHERE NOT c.id = ANY(d.path)
+      AND ($2::int IS NULL OR d.depth < $2)
+    )
+    SELECT id, name, status, parent_id, date_closed, depth FROM descendants
+    ORDER BY path
+  `, [taskId, maxDepth]);
+  return result.rows;
+}
+
+/**
+ * Gets the tasks a task is waiting on, and what those are waiting on
+ * @param {string} taskId - ID of the task
+ * @param {Object} options - Query options
+ * @param {boolean} options.transitive - Follow dependencies past the direct
+ *   blockers (default true)
+ * @returns {Promise<Array>} Blockers with their depth and the task they
+ *   block; name, status and date_closed are null for tasks not stored
+ */
+async function getTaskBlockers(taskId, options = {}) {
+  const { transitive = true } = options;
+  const result = await pool.query(`
+    WITH RECURSIVE blockers AS (
+      SELECT l.target_id AS id, l.task_id AS blocks, 1 AS depth, ARRAY[l.task_id, l.target_id] AS path
+      FROM task_links l
+      WHERE l.task_id = $1 AND l.link_type = 'depends_on'
+      UNION ALL
+      SELECT l.target_id, l.task_id, b.depth + 1, b.path || l.target_id
+      FROM blockers b
+      JOIN task_links l ON l.task_id = b.id AND l.link_type = 'depends_on'
+      WHERE $2 AND NOT l.target_id = ANY(b.path)
+    )
+    SELECT DISTINCT ON (b.id)
+      b.id, b.blocks, b.depth, t.name, t.status, t.date_closed
+    FROM blockers b
+    LEFT JOIN clickup_task t ON t.id = b.id
+    ORDER BY b.id, b.depth
+  `, [taskId, transitive]);
+  return result.rows.sort((a, b) => a.depth - b.depth);
+}
+
+/**
+ * Gets a task, all its descendants and the dependencies between them
+ * @param {string} taskId - ID of the top-level task
+ * @returns {Promise<Object>} { tasks, dependencies } where dependencies are
+ *   { task_id, target_id } pairs with both ends in tasks
+ */
+async function getTaskSubgraph(taskId) {
+  const tasks = await pool.query(`
+    WITH RECURSIVE tree AS (
+      SELECT t.id, ARRAY[t.id] AS path
+      FROM clickup_task t
+      WHERE t.id = $1
+      UNION ALL
+      SELECT c.id, tree.path || c.id
+      FROM tree
+      JOIN clickup_task c ON c.parent_id = tree.id
+      WHERE NOT c.id = ANY(tree.path)
+    )
+    SELECT t.id, t.name, t.status, t.parent_id, t.start_date, t.due_date,
+      t.date_closed, t.time_estimate
+    FROM tree
+    JOIN clickup_task t ON t.id = tree.id
+  `, [taskId]);
+
+  const ids = tasks.rows.map(task => task.id);
+  const dependencies = await pool.query(`
+    SELECT task_id, target_id FROM task_links
+    WHERE link_type = 'depends_on'
+    AND task_id = ANY($1) AND target_id = ANY($1)
+  `, [ids]);
+
+  return { tasks: tasks.rows, dependencies: dependencies.rows };
+}
+
+/**
+ * Gets a task and its subtasks, their subtasks and so on, with the values
+ * the subtask tree is rolled up from
+ * @param {string} taskId - ID of the top-level task
+ * @param {Object} options - Query options
+ * @param {number} options.maxDepth - Levels to descend (default unlimited)
+ * @returns {Promise<Array>} The task (depth 0) and its descendants in
+ *   depth-first order
+ */
+async function getTaskTree(taskId, options = {}) {
+  const { maxDepth = null } = options;
+  const result = await pool.query(`
+    WITH RECURSIVE tree AS (
+      SELECT t.id, 0 AS depth, ARRAY[t.id] AS path
+      FROM clickup_task t
+      WHERE t.id = $1
+      UNION ALL
+      SELECT c.id, tree.depth + 1, tree.path || c.id
+      FROM tree
+      JOIN clickup_task c ON c.parent_id = tree.id
+      WHERE NOT c.id = ANY(tree.path)
+      AND ($2::int IS NULL OR tree.depth < $2)
+    )
+    SELECT t.id, t.name, t.status, t.parent_id, t.date_closed, t.time_spent,
+      t.time_estimate, t.points, t.field_values, tree.depth
+    FROM tree
+    JOIN clickup_task t ON t.id = tree.id
+    ORDER BY tree.path
+  `, [taskId, maxDepth]);
+  return result.rows;
+}
+
+/**
+ * Gets which of the given task IDs aren't stored
+ * @param {Array<string>} taskIds - Task IDs
+ * @returns {Promise<Array<string>>} IDs with no clickup_task row
+ */
+async function getMissingTaskIds(taskIds) {
+  if (taskIds.length === 0) return [];
+  const result = await pool.query(`
+    SELECT missing.id FROM unnest($1::text[]) AS missing(id)
+    WHERE NOT EXISTS (SELECT 1 FROM clickup_task t WHERE t.id = missing.id)
+  `, [taskIds]);
+  return result.rows.map(row => row.id);
+}
+
 /**
  * Removes old data from the database that is older than the specified retention period
  * @param {number} daysToKeep - Number of days of data to retain (default 90)
@@ -284,9 +1423,22 @@ async function cleanOldData(daysToKeep = 90) {
       RETURNING id
     `);
 
+    // Clean webhook deliveries ClickUp will no longer redeliver
+    const deletedDeliveries = await client.query(`
+      DELETE FROM webhook_delivery
+      WHERE received_at < NOW() - INTERVAL '${daysToKeep} days'
+    `);
+
+    // Clean finished jobs; failed ones are kept for inspection
+    const deletedJobs = await client.query(`
+      DELETE FROM sync_job
+      WHERE status = 'completed'
+      AND completed_at < NOW() - INTERVAL '${daysToKeep} days'
+    `);
+
     await client.query('COMMIT');
-    
-    console.log(`Cleaned up ${deletedTasks.rowCount} old tasks and ${deletedTypes.rowCount} unused task types`);
+
+    console.log(`Cleaned up ${deletedTasks.rowCount} old tasks, ${deletedTypes.rowCount} unused task types, ${deletedDeliveries.rowCount} webhook deliveries and ${deletedJobs.rowCount} jobs`);
     return true;
 
   } catch (error) {
@@ -474,81 +1626,66 @@ async function getTaskTypeById(typeId) {
 }
 
 /**
- * Gets the change history for a field with rich metadata
+ * Gets the change history of a task's fields with rich metadata
  * @param {string} taskId - ID of the task
- * @param {string} fieldName - Name of the field to track
+ * @param {string|null} fieldName - Field to track, or null for all fields
  * @param {Object} options - Query options
- * @returns {Promise<Array>} Change history records
+ * @param {number} options.limit - Maximum number of changes (default 100)
+ * @param {Date} options.since - Only changes at or after this time
+ * @param {boolean} options.includeTaskDetails - Add the task's name, URL and status
+ * @returns {Promise<Array>} Change history records, newest first, each with the
+ *   time in ms the new value was kept (null while it is current)
  */
-async function getFieldChangeHistory(taskId, fieldName, options = {}) {
+async function getFieldChangeHistory(taskId, fieldName = null, options = {}) {
   const {
     limit = 100,
     since = null,
     includeTaskDetails = false
   } = options;
 
-  const params = [taskId, fieldName];
-  let query = `
-    WITH changes AS (
-      SELECT 
-        field_changes.id,
-        field_changes.task_id,
-        field_changes.field_name,
-        field_changes.old_value,
-        field_changes.new_value,
-        field_changes.changed_at,
-        LAG(new_value) OVER (
-          PARTITION BY task_id, field_name 
-          ORDER BY changed_at
-        ) as previous_value,
-        LEAD(new_value) OVER (
-          PARTITION BY task_id, field_name 
-          ORDER BY changed_at
-        ) as next_value,
-        ROW_NUMBER() OVER (
-          PARTITION BY task_id, field_name 
-          ORDER BY changed_at DESC
-        ) as change_number
-    `;
-
-  if (includeTaskDetails) {
-    query += `,
-      COALESCE(t.name, '') as task_name,
-      COALESCE(t.url, '') as task_url,
-      COALESCE(t.status->>'status', '') as task_status
-    FROM field_changes
-    LEFT JOIN clickup_task t ON t.id = field_changes.task_id
-    `;
-  } else {
-    query += `
-    FROM field_changes
-    `;
+  const params = [taskId];
+  const conditions = ['fc.task_id = $1'];
+  if (fieldName) {
+    params.push(fieldName);
+    conditions.push(`fc.field_name = $${params.length}`);
   }
-
-  query += `
-    WHERE task_id = $1 
-    AND field_name = $2
-  `;
-
   if (since) {
-    query += ` AND changed_at >= $3`;
     params.push(since);
+    conditions.push(`fc.changed_at >= $${params.length}`);
   }
+  params.push(limit);
 
-  query += `) 
-    SELECT * FROM changes 
-    WHERE change_number <= $${params.length + 1}
-    ORDER BY changed_at DESC
+  // Later changes decide how long each value was kept, so look ahead before filtering by time
+  const query = `
+    WITH changes AS (
+      SELECT
+        fc.*,
+        LEAD(fc.changed_at) OVER (
+          PARTITION BY fc.task_id, fc.field_name
+          ORDER BY fc.changed_at, fc.id
+        ) as next_changed_at
+      FROM field_changes fc
+      WHERE fc.task_id = $1
+      ${fieldName ? 'AND fc.field_name = $2' : ''}
+    )
+    SELECT fc.*
+      ${includeTaskDetails ? `,
+      COALESCE(t.name, '') as task_name,
+      COALESCE(t.url, '') as task_url,
+      COALESCE(t.status, '') as task_status` : ''}
+    FROM changes fc
+    ${includeTaskDetails ? 'LEFT JOIN clickup_task t ON t.id = fc.task_id' : ''}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY fc.changed_at DESC, fc.id DESC
+    LIMIT $${params.length}
   `;
-  
-  params.push(limit);
 
   try {
     const result = await pool.query(query, params);
     return result.rows.map(row => ({
       ...row,
-      duration: row.next_value ? 
-        new Date(row.changed_at) - new Date(row.next_value.changed_at) : 
+      duration: row.next_changed_at ?
+        new Date(row.next_changed_at) - new Date(row.changed_at) :
         null
     }));
   } catch (error) {
@@ -560,33 +1697,64 @@ async function getFieldChangeHistory(taskId, fieldName, options = {}) {
 /**
  * Gets a summary of field changes across all tasks
  * @param {string} fieldName - Name of the field to analyze
- * @returns {Promise<Object>} Change statistics
+ * @param {Object} options - Query options
+ * @param {Date} options.since - Only changes at or after this time
+ * @returns {Promise<Object>} Change statistics, with the most frequent new
+ *   values and the number of changes per source
  */
-async function getFieldChangeStats(fieldName) {
+async function getFieldChangeStats(fieldName, options = {}) {
+  const { since = null } = options;
+  const params = [fieldName];
+  let filter = 'field_name = $1';
+  if (since) {
+    params.push(since);
+    filter += ' AND changed_at >= $2';
+  }
+
   const query = `
-    WITH field_stats AS (
+    WITH filtered AS (
+      SELECT * FROM field_changes WHERE ${filter}
+    ),
+    field_stats AS (
       SELECT 
         task_id,
         COUNT(*) as change_count,
         MIN(changed_at) as first_change,
-        MAX(changed_at) as last_change,
-        array_agg(DISTINCT new_value) as unique_values
-      FROM field_changes
-      WHERE field_name = $1
+        MAX(changed_at) as last_change
+      FROM filtered
       GROUP BY task_id
     )
     SELECT 
-      COUNT(DISTINCT task_id) as tasks_with_changes,
+      COUNT(*) as tasks_with_changes,
+      COALESCE(SUM(change_count), 0) as total_changes,
       AVG(change_count)::numeric(10,2) as avg_changes_per_task,
       MAX(change_count) as max_changes_for_task,
       MIN(first_change) as earliest_change,
       MAX(last_change) as latest_change,
-      COUNT(DISTINCT jsonb_array_elements_text(unique_values)) as unique_value_count
+      (SELECT COUNT(DISTINCT new_value) FROM filtered) as unique_value_count,
+      (
+        SELECT COALESCE(jsonb_agg(top ORDER BY top.count DESC), '[]'::jsonb)
+        FROM (
+          SELECT new_value as value, COUNT(*) as count
+          FROM filtered
+          GROUP BY new_value
+          ORDER BY count DESC
+          LIMIT 10
+        ) top
+      ) as top_values,
+      (
+        SELECT COALESCE(jsonb_object_agg(COALESCE(source, 'unknown'), count), '{}'::jsonb)
+        FROM (
+          SELECT source, COUNT(*) as count
+          FROM filtered
+          GROUP BY source
+        ) sources
+      ) as changes_by_source
     FROM field_stats
   `;
 
   try {
-    const result = await pool.query(query, [fieldName]);
+    const result = await pool.query(query, params);
     return result.rows[0];
   } catch (error) {
     console.error('Error getting field change stats:', error);
@@ -594,6 +1762,169 @@ async function getFieldChangeStats(fieldName) {
   }
 }
 
+/**
+ * Gets field changes across all tasks, newest first
+ * @param {Object} options - Query options
+ * @param {Date} options.since - Only changes at or after this time
+ * @param {Date} options.until - Only changes before this time
+ * @param {string} options.fieldName - Only changes to this field
+ * @param {string} options.fieldKind - Only 'core' or 'custom' changes
+ * @param {string} options.source - Only changes from this source
+ * @param {number} options.limit - Maximum number of changes (default 100)
+ * @returns {Promise<Array>} Changes with the task's name
+ */
+async function getFieldChangeTimeline(options = {}) {
+  const {
+    since = null,
+    until = null,
+    fieldName = null,
+    fieldKind = null,
+    source = null,
+    limit = 100
+  } = options;
+
+  const params = [];
+  const conditions = [];
+  const filters = [
+    [since, 'fc.changed_at >='],
+    [until, 'fc.changed_at <'],
+    [fieldName, 'fc.field_name ='],
+    [fieldKind, 'fc.field_kind ='],
+    [source, 'fc.source =']
+  ];
+  for (const [value, condition] of filters) {
+    if (value) {
+      params.push(value);
+      conditions.push(`${condition} $${params.length}`);
+    }
+  }
+  params.push(limit);
+
+  const query = `
+    SELECT fc.*, t.name as task_name
+    FROM field_changes fc
+    LEFT JOIN clickup_task t ON t.id = fc.task_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY fc.changed_at DESC, fc.id DESC
+    LIMIT $${params.length}
+  `;
+
+  try {
+    const result = await pool.query(query, params);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting field change timeline:', error);
+    throw error;
+  }
+}
+
+/**
+ * Gets, for each field of the given tasks, the first change made after a point
+ * in time. Its old_value is the value the field had at that time.
+ * @param {Array<string>} taskIds - IDs of the tasks
+ * @param {Date} asOf - Point in time
+ * @returns {Promise<Array>} { task_id, field_name, field_kind, old_value } rows
+ */
+async function getFirstChangesAfter(taskIds, asOf) {
+  if (taskIds.length === 0) return [];
+
+  const result = await pool.query(`
+    SELECT DISTINCT ON (task_id, field_kind, field_name)
+      task_id, field_name, field_kind, old_value
+    FROM field_changes
+    WHERE task_id = ANY($1)
+    AND changed_at > $2
+    ORDER BY task_id, field_kind, field_name, changed_at, id
+  `, [taskIds, asOf]);
+  return result.rows;
+}
+
+/**
+ * Turns a task's last clickup_task_history version into a task row
+ * @param {Object} version - clickup_task_history row
+ * @returns {Object} Task row, with deleted_at set to when the version was closed
+ */
+function toDeletedTask(version) {
+  const { history_id, task_id, valid_from, valid_to, ...columns } = version;
+  return { id: task_id, ...columns, deleted_at: valid_to };
+}
+
+/**
+ * Gets deleted tasks as they were last stored, from their closed history
+ * versions
+ * @param {Array<string>} taskIds - IDs of the tasks
+ * @returns {Promise<Array>} Tasks no longer in clickup_task, with deleted_at
+ */
+async function getDeletedTasks(taskIds) {
+  if (taskIds.length === 0) return [];
+  const result = await pool.query(`
+    SELECT DISTINCT ON (h.task_id) h.*
+    FROM clickup_task_history h
+    WHERE h.task_id = ANY($1)
+    AND NOT EXISTS (SELECT 1 FROM clickup_task t WHERE t.id = h.task_id)
+    ORDER BY h.task_id, h.valid_from DESC
+  `, [taskIds]);
+  return result.rows.map(toDeletedTask);
+}
+
+/**
+ * Gets a page of tasks that existed at a point in time, ordered by ID. Tasks
+ * deleted since are included as they were last stored (see getDeletedTasks).
+ * @param {Date} asOf - Point in time; tasks created later are skipped
+ * @param {string|null} afterId - Return tasks after this ID
+ * @param {number} limit - Page size
+ * @returns {Promise<Array>} Tasks
+ */
+async function getTasksCreatedBefore(asOf, afterId = null, limit = 500) {
+  const candidates = await pool.query(`
+    SELECT id FROM clickup_task
+    WHERE (date_created IS NULL OR date_created <= $1)
+    AND ($2::text IS NULL OR id > $2)
+    UNION
+    SELECT h.task_id FROM clickup_task_history h
+    WHERE h.valid_to > $1
+    AND (h.date_created IS NULL OR h.date_created <= $1)
+    AND ($2::text IS NULL OR h.task_id > $2)
+    AND NOT EXISTS (SELECT 1 FROM clickup_task t WHERE t.id = h.task_id)
+    ORDER BY id
+    LIMIT $3
+  `, [asOf, afterId, limit]);
+  const ids = candidates.rows.map(row => row.id);
+  if (ids.length === 0) return [];
+
+  const [live, deleted] = await Promise.all([
+    pool.query('SELECT * FROM clickup_task WHERE id = ANY($1)', [ids]),
+    getDeletedTasks(ids)
+  ]);
+  const tasks = new Map([...live.rows, ...deleted].map(task => [task.id, task]));
+  return ids.map(id => tasks.get(id)).filter(Boolean);
+}
+
+/**
+ * Gets a value from the sync_state store
+ * @param {string} key - State key
+ * @returns {Promise<any>} Stored value or null if unset
+ */
+async function getSyncState(key) {
+  const result = await pool.query('SELECT value FROM sync_state WHERE key = $1', [key]);
+  return result.rows[0]?.value ?? null;
+}
+
+/**
+ * Stores a value in the sync_state store
+ * @param {string} key - State key
+ * @param {any} value - JSON-serializable value
+ */
+async function setSyncState(key, value) {
+  await pool.query(`
+    INSERT INTO sync_state (key, value, updated_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP)
+    ON CONFLICT (key) DO UPDATE SET
+      value = EXCLUDED.value,
+      updated_at = CURRENT_TIMESTAMP
+  `, [key, JSON.stringify(value)]);
+}
+
 /**
  * Execute a raw query
  * @param {string} text - Query text
@@ -624,7 +1955,9 @@ async function checkConnection() {
 module.exports = {
   pool,
   query,
+  migrator,
   initializeTables,
+  refreshTaskHistoryView,
   cleanOldData,
   getRecentChanges,
   findTasksByCore,
@@ -635,8 +1968,34 @@ module.exports = {
   getTaskTypeById,
   updateTaskCustomFields,
   updateTaskRelationships,
+  updateTaskLinks,
+  updateTaskContents,
+  getTaskChecklists,
+  getChecklistCompletion,
+  getTags,
+  findTasksByTags,
+  getTaskAttachments,
+  getTaskLinks,
+  getTaskAncestors,
+  getTaskDescendants,
+  getTaskBlockers,
+  getTaskSubgraph,
+  getTaskTree,
+  getMissingTaskIds,
+  updateTaskCoreFields,
+  updateTaskLocation,
+  ensureLocations,
+  ensureUsers,
+  setListStatuses,
+  deleteTask,
   getFieldChangeHistory,
   getFieldChangeStats,
+  getFieldChangeTimeline,
+  getFirstChangesAfter,
+  getTasksCreatedBefore,
+  getDeletedTasks,
   checkTaskExists,
+  getSyncState,
+  setSyncState,
   checkConnection
 }; 
\ No newline at end of file
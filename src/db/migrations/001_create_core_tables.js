@@ -0,0 +1,158 @@
+/**
+ * Core tables: tasks, webhook bookkeeping, the job queue, backfill progress,
+ * custom field mappings and sync state. Everything is created with IF NOT
+ * EXISTS so databases set up before migrations existed are adopted as-is.
+ */
+async function up(client) {
+  await client.query(`
+    -- Core task table with all required fields from ClickUp
+    CREATE TABLE IF NOT EXISTS clickup_task (
+      id TEXT PRIMARY KEY,
+      _airbyte_raw_id TEXT NOT NULL DEFAULT md5(random()::text),
+      _airbyte_extracted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      name TEXT,
+      text_content TEXT,
+      description TEXT,
+      status TEXT,
+      date_created TIMESTAMP WITH TIME ZONE,
+      date_updated TIMESTAMP WITH TIME ZONE,
+      date_closed TIMESTAMP WITH TIME ZONE,
+      creator JSONB,
+      assignees JSONB,
+      checklists JSONB,
+      tags JSONB,
+      parent JSONB,
+      priority JSONB,
+      due_date TIMESTAMP WITH TIME ZONE,
+      start_date TIMESTAMP WITH TIME ZONE,
+      points INTEGER,
+      time_estimate INTEGER,
+      time_spent INTEGER,
+      custom_fields JSONB DEFAULT '{}'::jsonb,
+      relationships JSONB DEFAULT '{}'::jsonb,
+      field_values JSONB DEFAULT '{}'::jsonb,
+      custom_type JSONB,
+      list JSONB,
+      folder JSONB,
+      space JSONB,
+      url TEXT,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Add indexes
+    CREATE INDEX IF NOT EXISTS idx_task_custom_fields ON clickup_task USING gin (custom_fields);
+    CREATE INDEX IF NOT EXISTS idx_task_field_values ON clickup_task USING gin (field_values);
+    CREATE INDEX IF NOT EXISTS idx_task_updated_at ON clickup_task(updated_at);
+
+    -- Webhook deliveries already accepted, used to drop ClickUp redeliveries
+    CREATE TABLE IF NOT EXISTS webhook_delivery (
+      webhook_id TEXT NOT NULL,
+      history_item_id TEXT NOT NULL,
+      event TEXT,
+      task_id TEXT,
+      received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (webhook_id, history_item_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_delivery_received_at ON webhook_delivery(received_at);
+
+    -- Webhooks registered in ClickUp for this workspace
+    CREATE TABLE IF NOT EXISTS clickup_webhook (
+      id TEXT PRIMARY KEY,
+      workspace_id TEXT NOT NULL,
+      endpoint TEXT NOT NULL,
+      events JSONB DEFAULT '[]'::jsonb,
+      secret TEXT,
+      status TEXT,
+      health JSONB,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Durable queue of webhook and sync work consumed by the workers
+    CREATE TABLE IF NOT EXISTS sync_job (
+      id BIGSERIAL PRIMARY KEY,
+      type TEXT NOT NULL,
+      payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+      status TEXT NOT NULL DEFAULT 'pending',
+      priority INTEGER NOT NULL DEFAULT 0,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      locked_by TEXT,
+      locked_until TIMESTAMP WITH TIME ZONE,
+      last_error TEXT,
+      result JSONB,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP WITH TIME ZONE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sync_job_ready ON sync_job(status, priority DESC, run_at);
+
+    -- Full-workspace backfill runs and their per-list progress
+    CREATE TABLE IF NOT EXISTS backfill_run (
+      id SERIAL PRIMARY KEY,
+      status TEXT NOT NULL DEFAULT 'running',
+      tasks_synced INTEGER NOT NULL DEFAULT 0,
+      tasks_failed INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      finished_at TIMESTAMP WITH TIME ZONE
+    );
+
+    CREATE TABLE IF NOT EXISTS backfill_checkpoint (
+      run_id INTEGER NOT NULL REFERENCES backfill_run(id) ON DELETE CASCADE,
+      list_id TEXT NOT NULL,
+      archived BOOLEAN NOT NULL DEFAULT false,
+      space_id TEXT,
+      folder_id TEXT,
+      list_name TEXT,
+      next_page INTEGER NOT NULL DEFAULT 0,
+      tasks_synced INTEGER NOT NULL DEFAULT 0,
+      completed BOOLEAN NOT NULL DEFAULT false,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (run_id, list_id, archived)
+    );
+
+    -- Custom field mappings keyed by ClickUp field ID
+    CREATE TABLE IF NOT EXISTS custom_field_mappings (
+      id SERIAL PRIMARY KEY,
+      field_name TEXT NOT NULL,
+      clickup_field_id TEXT NOT NULL,
+      data_type TEXT NOT NULL,
+      column_name TEXT,
+      is_mapped BOOLEAN DEFAULT false,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(clickup_field_id)
+    );
+
+    ALTER TABLE custom_field_mappings
+      ADD COLUMN IF NOT EXISTS transform TEXT NOT NULL DEFAULT 'string',
+      ADD COLUMN IF NOT EXISTS promoted BOOLEAN NOT NULL DEFAULT false;
+
+    -- Small key/value store for sync bookkeeping such as polling watermarks
+    CREATE TABLE IF NOT EXISTS sync_state (
+      key TEXT PRIMARY KEY,
+      value JSONB NOT NULL,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS sync_state;
+    DROP TABLE IF EXISTS custom_field_mappings;
+    DROP TABLE IF EXISTS backfill_checkpoint;
+    DROP TABLE IF EXISTS backfill_run;
+    DROP TABLE IF EXISTS sync_job;
+    DROP TABLE IF EXISTS clickup_webhook;
+    DROP TABLE IF EXISTS webhook_delivery;
+    DROP TABLE IF EXISTS clickup_task;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,52 @@
+/**
+ * Custom task types and the task columns linking tasks to them
+ */
+async function up(client) {
+  // Create task_types table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS task_types (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      color TEXT,
+      status TEXT,
+      orderindex INTEGER,
+      workspace_id TEXT NOT NULL,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Add task type columns to clickup_task
+  await client.query(`
+    ALTER TABLE clickup_task 
+    ADD COLUMN IF NOT EXISTS task_type_id TEXT REFERENCES task_types(id),
+    ADD COLUMN IF NOT EXISTS task_type_name TEXT;
+  `);
+
+  // Create indexes
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_task_type_id ON clickup_task(task_type_id);
+    CREATE INDEX IF NOT EXISTS idx_task_custom_fields ON clickup_task USING gin (custom_fields);
+    CREATE INDEX IF NOT EXISTS idx_task_field_values ON clickup_task USING gin (field_values);
+  `);
+}
+
+async function down(client) {
+  // Drop indexes
+  await client.query(`
+    DROP INDEX IF EXISTS idx_task_type_id;
+  `);
+
+  // Remove task type columns
+  await client.query(`
+    ALTER TABLE clickup_task 
+    DROP COLUMN IF EXISTS task_type_id,
+    DROP COLUMN IF EXISTS task_type_name;
+  `);
+
+  // Drop tables
+  await client.query(`
+    DROP TABLE IF EXISTS task_types;
+  `);
+}
+
+module.exports = { up, down };
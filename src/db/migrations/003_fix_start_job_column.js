@@ -0,0 +1,71 @@
+/**
+ * Converts a legacy text start_job column to a timestamp. Databases without
+ * the column, or where it already has the right type, are left alone; newer
+ * setups get it by promoting the 'Start Job!' field mapping.
+ */
+
+/**
+ * Gets the type of a clickup_task column
+ * @param {Object} client - Database client
+ * @param {string} column - Column name
+ * @returns {Promise<string|null>} Data type or null if the column doesn't exist
+ */
+async function getColumnType(client, column) {
+  const result = await client.query(`
+    SELECT data_type FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'clickup_task' AND column_name = $1
+  `, [column]);
+  return result.rows[0]?.data_type || null;
+}
+
+async function up(client) {
+  if (await getColumnType(client, 'start_job') !== 'text') {
+    return;
+  }
+
+  // 1. Create a temporary column
+  await client.query(`
+    ALTER TABLE clickup_task 
+    ADD COLUMN IF NOT EXISTS start_job_new TIMESTAMP WITH TIME ZONE;
+  `);
+
+  // 2. Convert existing data; values that aren't dates or millisecond timestamps become NULL
+  await client.query(`
+    UPDATE clickup_task
+    SET start_job_new = 
+      CASE 
+        WHEN start_job ~ '^\\d{4}-\\d{2}-\\d{2}'
+        THEN start_job::timestamp with time zone
+        WHEN start_job ~ '^\\d{10,}$'
+        THEN to_timestamp(start_job::numeric / 1000)
+        ELSE NULL
+      END;
+  `);
+
+  // 3. Drop old column and rename new one
+  await client.query(`
+    ALTER TABLE clickup_task DROP COLUMN start_job;
+    ALTER TABLE clickup_task RENAME COLUMN start_job_new TO start_job;
+  `);
+
+  // 4. Create indexes for commonly queried fields that exist
+  await client.query('CREATE INDEX IF NOT EXISTS idx_task_start_job ON clickup_task (start_job)');
+  for (const column of ['client', 'job_name']) {
+    if (await getColumnType(client, column)) {
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_task_${column} ON clickup_task (${column})`);
+    }
+  }
+}
+
+async function down(client) {
+  if (await getColumnType(client, 'start_job') !== 'timestamp with time zone') {
+    return;
+  }
+
+  await client.query(`
+    DROP INDEX IF EXISTS idx_task_start_job;
+    ALTER TABLE clickup_task ALTER COLUMN start_job TYPE TEXT USING start_job::text;
+  `);
+}
+
+module.exports = { up, down };
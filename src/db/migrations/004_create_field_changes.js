@@ -0,0 +1,36 @@
+/**
+ * Change log written by every sync: one row per changed core or custom field
+ */
+async function up(client) {
+  await client.query(`
+    -- One row per changed core or custom field value, written by every sync
+    CREATE TABLE IF NOT EXISTS field_changes (
+      id BIGSERIAL PRIMARY KEY,
+      task_id TEXT NOT NULL,
+      field_name TEXT NOT NULL,
+      field_kind TEXT NOT NULL DEFAULT 'core',
+      old_value JSONB,
+      new_value JSONB,
+      changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      source TEXT,
+      actor JSONB,
+      history_item_id TEXT
+    );
+
+    -- Tables created by earlier versions lack the capture columns
+    ALTER TABLE field_changes
+      ADD COLUMN IF NOT EXISTS field_kind TEXT NOT NULL DEFAULT 'core',
+      ADD COLUMN IF NOT EXISTS source TEXT,
+      ADD COLUMN IF NOT EXISTS actor JSONB,
+      ADD COLUMN IF NOT EXISTS history_item_id TEXT;
+
+    CREATE INDEX IF NOT EXISTS idx_field_changes_task ON field_changes(task_id, field_name, changed_at);
+    CREATE INDEX IF NOT EXISTS idx_field_changes_field ON field_changes(field_name, changed_at);
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS field_changes');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,81 @@
+// Required dependencies
+const { refreshTaskHistoryView } = require('../taskHistoryView');
+
+/**
+ * Type 2 task history, its versions view and a first version for every task
+ * already stored
+ */
+async function up(client) {
+  await client.query(`
+    -- Type 2 history of tasks: one row per version, valid_to is NULL for the
+    -- current one. Columns match clickup_task by name.
+    CREATE TABLE IF NOT EXISTS clickup_task_history (
+      history_id BIGSERIAL PRIMARY KEY,
+      task_id TEXT NOT NULL,
+      valid_from TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      valid_to TIMESTAMP WITH TIME ZONE,
+      name TEXT,
+      text_content TEXT,
+      description TEXT,
+      status TEXT,
+      date_created TIMESTAMP WITH TIME ZONE,
+      date_updated TIMESTAMP WITH TIME ZONE,
+      date_closed TIMESTAMP WITH TIME ZONE,
+      creator JSONB,
+      assignees JSONB,
+      checklists JSONB,
+      tags JSONB,
+      parent JSONB,
+      parent_id TEXT,
+      priority JSONB,
+      due_date TIMESTAMP WITH TIME ZONE,
+      start_date TIMESTAMP WITH TIME ZONE,
+      points INTEGER,
+      time_estimate INTEGER,
+      time_spent INTEGER,
+      custom_fields JSONB,
+      relationships JSONB,
+      field_values JSONB,
+      custom_type JSONB,
+      task_type_id TEXT,
+      list JSONB,
+      folder JSONB,
+      space JSONB,
+      url TEXT,
+      updated_at TIMESTAMP WITH TIME ZONE
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_task_history_current ON clickup_task_history(task_id) WHERE valid_to IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_task_history_validity ON clickup_task_history(task_id, valid_from, valid_to);
+  `);
+
+  await refreshTaskHistoryView(client);
+
+  // Tasks stored before history was kept start with their current state
+  await client.query(`
+    INSERT INTO clickup_task_history
+    SELECT (jsonb_populate_record(
+      NULL::clickup_task_history,
+      to_jsonb(t) || jsonb_build_object(
+        'history_id', nextval(pg_get_serial_sequence('clickup_task_history', 'history_id')),
+        'task_id', t.id,
+        'valid_from', COALESCE(t.updated_at, CURRENT_TIMESTAMP),
+        'valid_to', NULL
+      )
+    )).*
+    FROM clickup_task t
+    WHERE NOT EXISTS (
+      SELECT 1 FROM clickup_task_history h
+      WHERE h.task_id = t.id AND h.valid_to IS NULL
+    )
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP VIEW IF EXISTS clickup_task_versions;
+    DROP TABLE IF EXISTS clickup_task_history;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,128 @@
+// Required dependencies
+const { refreshTaskHistoryView } = require('../taskHistoryView');
+
+/**
+ * Workspace hierarchy (spaces, folders, lists) and foreign keys from tasks to
+ * it. The hierarchy is seeded from the list, folder and space objects already
+ * embedded in tasks; the backfill and webhook events fill in the rest.
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS clickup_space (
+      id TEXT PRIMARY KEY,
+      workspace_id TEXT,
+      name TEXT,
+      private BOOLEAN,
+      archived BOOLEAN NOT NULL DEFAULT false,
+      statuses JSONB,
+      deleted_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Folderless lists sit in a hidden folder, as ClickUp reports them
+    CREATE TABLE IF NOT EXISTS clickup_folder (
+      id TEXT PRIMARY KEY,
+      space_id TEXT REFERENCES clickup_space(id) ON DELETE CASCADE,
+      name TEXT,
+      hidden BOOLEAN NOT NULL DEFAULT false,
+      archived BOOLEAN NOT NULL DEFAULT false,
+      orderindex INTEGER,
+      deleted_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS clickup_list (
+      id TEXT PRIMARY KEY,
+      space_id TEXT REFERENCES clickup_space(id) ON DELETE CASCADE,
+      folder_id TEXT REFERENCES clickup_folder(id) ON DELETE CASCADE,
+      name TEXT,
+      archived BOOLEAN NOT NULL DEFAULT false,
+      orderindex INTEGER,
+      statuses JSONB,
+      deleted_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_folder_space ON clickup_folder(space_id);
+    CREATE INDEX IF NOT EXISTS idx_list_space ON clickup_list(space_id);
+    CREATE INDEX IF NOT EXISTS idx_list_folder ON clickup_list(folder_id);
+  `);
+
+  // Seed the hierarchy from tasks, parents first
+  await client.query(`
+    INSERT INTO clickup_space (id)
+    SELECT DISTINCT space->>'id' FROM clickup_task
+    WHERE space->>'id' IS NOT NULL
+    ON CONFLICT (id) DO NOTHING;
+
+    INSERT INTO clickup_folder (id, space_id, name, hidden)
+    SELECT DISTINCT ON (folder->>'id')
+      folder->>'id', space->>'id', folder->>'name', COALESCE((folder->>'hidden')::boolean, false)
+    FROM clickup_task
+    WHERE folder->>'id' IS NOT NULL
+    ON CONFLICT (id) DO NOTHING;
+
+    INSERT INTO clickup_list (id, space_id, folder_id, name)
+    SELECT DISTINCT ON (list->>'id')
+      list->>'id', space->>'id', folder->>'id', list->>'name'
+    FROM clickup_task
+    WHERE list->>'id' IS NOT NULL
+    ON CONFLICT (id) DO NOTHING;
+  `);
+
+  // Tasks keep their embedded objects; the IDs are for joins and constraints
+  await client.query(`
+    ALTER TABLE clickup_task
+      ADD COLUMN IF NOT EXISTS space_id TEXT REFERENCES clickup_space(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS folder_id TEXT REFERENCES clickup_folder(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS list_id TEXT REFERENCES clickup_list(id) ON DELETE SET NULL;
+
+    UPDATE clickup_task
+    SET space_id = space->>'id',
+        folder_id = folder->>'id',
+        list_id = list->>'id';
+
+    CREATE INDEX IF NOT EXISTS idx_task_space ON clickup_task(space_id);
+    CREATE INDEX IF NOT EXISTS idx_task_folder ON clickup_task(folder_id);
+    CREATE INDEX IF NOT EXISTS idx_task_list ON clickup_task(list_id);
+
+    ALTER TABLE clickup_task_history
+      ADD COLUMN IF NOT EXISTS space_id TEXT,
+      ADD COLUMN IF NOT EXISTS folder_id TEXT,
+      ADD COLUMN IF NOT EXISTS list_id TEXT;
+
+    UPDATE clickup_task_history
+    SET space_id = space->>'id',
+        folder_id = folder->>'id',
+        list_id = list->>'id';
+  `);
+
+  await refreshTaskHistoryView(client);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP VIEW IF EXISTS clickup_task_versions;
+
+    ALTER TABLE clickup_task_history
+      DROP COLUMN IF EXISTS space_id,
+      DROP COLUMN IF EXISTS folder_id,
+      DROP COLUMN IF EXISTS list_id;
+
+    ALTER TABLE clickup_task
+      DROP COLUMN IF EXISTS space_id,
+      DROP COLUMN IF EXISTS folder_id,
+      DROP COLUMN IF EXISTS list_id;
+
+    DROP TABLE IF EXISTS clickup_list;
+    DROP TABLE IF EXISTS clickup_folder;
+    DROP TABLE IF EXISTS clickup_space;
+  `);
+
+  await refreshTaskHistoryView(client);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,68 @@
+// Required dependencies
+const { refreshTaskHistoryView } = require('../taskHistoryView');
+
+/**
+ * Task graph: the parent_id column subtasks point to their parent with, and
+ * the task_links edge table for dependencies, linked tasks and "tasks"
+ * custom fields.
+ */
+async function up(client) {
+  // updateTaskRelationships has always written parent_id; the column was missing
+  await client.query(`
+    ALTER TABLE clickup_task
+      ADD COLUMN IF NOT EXISTS parent_id TEXT REFERENCES clickup_task(id) ON DELETE SET NULL;
+
+    UPDATE clickup_task t
+    SET parent_id = t.relationships->>'parent_id'
+    WHERE t.relationships->>'parent_id' IS NOT NULL
+    AND EXISTS (SELECT 1 FROM clickup_task p WHERE p.id = t.relationships->>'parent_id');
+
+    CREATE INDEX IF NOT EXISTS idx_task_parent ON clickup_task(parent_id);
+
+    ALTER TABLE clickup_task_history
+      ADD COLUMN IF NOT EXISTS parent_id TEXT;
+
+    UPDATE clickup_task_history h
+    SET parent_id = t.parent_id
+    FROM clickup_task t
+    WHERE t.id = h.task_id AND h.valid_to IS NULL;
+  `);
+
+  // Edges point from a task to the task it depends on, is linked to or
+  // references. Targets may not be synced yet, so they aren't foreign keys.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS task_links (
+      task_id TEXT NOT NULL,
+      target_id TEXT NOT NULL,
+      link_type TEXT NOT NULL,
+      field_id TEXT NOT NULL DEFAULT '',
+      created_by TEXT,
+      date_created TIMESTAMP WITH TIME ZONE,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (task_id, link_type, target_id, field_id),
+      CHECK (link_type IN ('depends_on', 'linked', 'field'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_task_links_target ON task_links(target_id, link_type);
+  `);
+
+  await refreshTaskHistoryView(client);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS task_links;
+
+    DROP VIEW IF EXISTS clickup_task_versions;
+
+    ALTER TABLE clickup_task_history
+      DROP COLUMN IF EXISTS parent_id;
+
+    ALTER TABLE clickup_task
+      DROP COLUMN IF EXISTS parent_id;
+  `);
+
+  await refreshTaskHistoryView(client);
+}
+
+module.exports = { up, down };
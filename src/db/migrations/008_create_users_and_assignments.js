@@ -0,0 +1,104 @@
+// Required dependencies
+const { refreshTaskHistoryView } = require('../taskHistoryView');
+
+/**
+ * Workspace members and the people on each task: clickup_user, the
+ * task_assignee and task_watcher join tables, and a creator_id key on tasks.
+ * Users are seeded from the assignees and creator already stored on tasks;
+ * the member sync fills in the rest.
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS clickup_user (
+      id TEXT PRIMARY KEY,
+      username TEXT,
+      email TEXT,
+      initials TEXT,
+      color TEXT,
+      profile_picture TEXT,
+      role INTEGER,
+      is_member BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_email ON clickup_user(lower(email));
+
+    CREATE TABLE IF NOT EXISTS task_assignee (
+      task_id TEXT NOT NULL REFERENCES clickup_task(id) ON DELETE CASCADE,
+      user_id TEXT NOT NULL REFERENCES clickup_user(id) ON DELETE CASCADE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (task_id, user_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS task_watcher (
+      task_id TEXT NOT NULL REFERENCES clickup_task(id) ON DELETE CASCADE,
+      user_id TEXT NOT NULL REFERENCES clickup_user(id) ON DELETE CASCADE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (task_id, user_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_task_assignee_user ON task_assignee(user_id);
+    CREATE INDEX IF NOT EXISTS idx_task_watcher_user ON task_watcher(user_id);
+  `);
+
+  // Seed users and assignments from the JSONB columns
+  await client.query(`
+    INSERT INTO clickup_user (id, username, email)
+    SELECT DISTINCT ON (u->>'id') u->>'id', u->>'username', u->>'email'
+    FROM (
+      SELECT jsonb_array_elements(assignees) AS u
+      FROM clickup_task WHERE jsonb_typeof(assignees) = 'array'
+      UNION ALL
+      SELECT creator FROM clickup_task WHERE jsonb_typeof(creator) = 'object'
+    ) users
+    WHERE u->>'id' IS NOT NULL
+    ON CONFLICT (id) DO NOTHING;
+
+    INSERT INTO task_assignee (task_id, user_id)
+    SELECT t.id, u->>'id'
+    FROM clickup_task t, jsonb_array_elements(t.assignees) u
+    WHERE jsonb_typeof(t.assignees) = 'array' AND u->>'id' IS NOT NULL
+    ON CONFLICT DO NOTHING;
+  `);
+
+  await client.query(`
+    ALTER TABLE clickup_task
+      ADD COLUMN IF NOT EXISTS creator_id TEXT REFERENCES clickup_user(id) ON DELETE SET NULL;
+
+    UPDATE clickup_task
+    SET creator_id = creator->>'id'
+    WHERE jsonb_typeof(creator) = 'object';
+
+    CREATE INDEX IF NOT EXISTS idx_task_creator ON clickup_task(creator_id);
+
+    ALTER TABLE clickup_task_history
+      ADD COLUMN IF NOT EXISTS creator_id TEXT;
+
+    UPDATE clickup_task_history
+    SET creator_id = creator->>'id'
+    WHERE jsonb_typeof(creator) = 'object';
+  `);
+
+  await refreshTaskHistoryView(client);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP VIEW IF EXISTS clickup_task_versions;
+
+    ALTER TABLE clickup_task_history
+      DROP COLUMN IF EXISTS creator_id;
+
+    ALTER TABLE clickup_task
+      DROP COLUMN IF EXISTS creator_id;
+
+    DROP TABLE IF EXISTS task_watcher;
+    DROP TABLE IF EXISTS task_assignee;
+    DROP TABLE IF EXISTS clickup_user;
+  `);
+
+  await refreshTaskHistoryView(client);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+/**
+ * Time entries tracked against tasks. Entries can belong to tasks that
+ * aren't stored yet, so task_id isn't a foreign key.
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS time_entry (
+      id TEXT PRIMARY KEY,
+      task_id TEXT,
+      user_id TEXT REFERENCES clickup_user(id) ON DELETE SET NULL,
+      workspace_id TEXT,
+      start_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      end_at TIMESTAMP WITH TIME ZONE,
+      -- Milliseconds; null while the timer is still running
+      duration_ms BIGINT,
+      description TEXT,
+      billable BOOLEAN NOT NULL DEFAULT false,
+      tags JSONB DEFAULT '[]'::jsonb,
+      source TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_time_entry_task ON time_entry(task_id);
+    CREATE INDEX IF NOT EXISTS idx_time_entry_user_start ON time_entry(user_id, start_at);
+    CREATE INDEX IF NOT EXISTS idx_time_entry_start ON time_entry(start_at);
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS time_entry');
+}
+
+module.exports = { up, down };
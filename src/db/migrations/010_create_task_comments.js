@@ -0,0 +1,35 @@
+/**
+ * Task comments and their threaded replies. Comments removed in ClickUp are
+ * kept with deleted_at set.
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS task_comment (
+      id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL REFERENCES clickup_task(id) ON DELETE CASCADE,
+      -- Set on replies: the comment they reply to
+      parent_id TEXT REFERENCES task_comment(id) ON DELETE CASCADE,
+      user_id TEXT REFERENCES clickup_user(id) ON DELETE SET NULL,
+      comment_text TEXT,
+      content JSONB DEFAULT '[]'::jsonb,
+      resolved BOOLEAN NOT NULL DEFAULT false,
+      assignee_id TEXT REFERENCES clickup_user(id) ON DELETE SET NULL,
+      reactions JSONB DEFAULT '[]'::jsonb,
+      reply_count INTEGER NOT NULL DEFAULT 0,
+      date_created TIMESTAMP WITH TIME ZONE,
+      deleted_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_task_comment_task ON task_comment(task_id, date_created);
+    CREATE INDEX IF NOT EXISTS idx_task_comment_parent ON task_comment(parent_id);
+    CREATE INDEX IF NOT EXISTS idx_task_comment_user ON task_comment(user_id);
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS task_comment');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,95 @@
+/**
+ * Checklists and their items, tags (defined per space) and attachment
+ * metadata, normalized out of the task payload
+ */
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS task_checklist (
+      id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL REFERENCES clickup_task(id) ON DELETE CASCADE,
+      name TEXT,
+      orderindex INTEGER,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Items can be nested under another item of the same checklist
+    CREATE TABLE IF NOT EXISTS task_checklist_item (
+      id TEXT PRIMARY KEY,
+      checklist_id TEXT NOT NULL REFERENCES task_checklist(id) ON DELETE CASCADE,
+      task_id TEXT NOT NULL REFERENCES clickup_task(id) ON DELETE CASCADE,
+      parent_id TEXT,
+      name TEXT,
+      orderindex INTEGER,
+      resolved BOOLEAN NOT NULL DEFAULT false,
+      assignee_id TEXT REFERENCES clickup_user(id) ON DELETE SET NULL,
+      date_created TIMESTAMP WITH TIME ZONE,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_checklist_task ON task_checklist(task_id);
+    CREATE INDEX IF NOT EXISTS idx_checklist_item_checklist ON task_checklist_item(checklist_id);
+    CREATE INDEX IF NOT EXISTS idx_checklist_item_task ON task_checklist_item(task_id);
+
+    CREATE TABLE IF NOT EXISTS clickup_tag (
+      space_id TEXT NOT NULL REFERENCES clickup_space(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      tag_fg TEXT,
+      tag_bg TEXT,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (space_id, name)
+    );
+
+    CREATE TABLE IF NOT EXISTS task_tag (
+      task_id TEXT NOT NULL REFERENCES clickup_task(id) ON DELETE CASCADE,
+      space_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      PRIMARY KEY (task_id, name),
+      FOREIGN KEY (space_id, name) REFERENCES clickup_tag(space_id, name) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_task_tag_name ON task_tag(space_id, name);
+
+    CREATE TABLE IF NOT EXISTS task_attachment (
+      id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL REFERENCES clickup_task(id) ON DELETE CASCADE,
+      title TEXT,
+      extension TEXT,
+      mimetype TEXT,
+      size BIGINT,
+      url TEXT,
+      thumbnail_url TEXT,
+      user_id TEXT REFERENCES clickup_user(id) ON DELETE SET NULL,
+      date_created TIMESTAMP WITH TIME ZONE,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_attachment_task ON task_attachment(task_id);
+  `);
+
+  // Seed tags from the tags already stored on tasks
+  await client.query(`
+    INSERT INTO clickup_tag (space_id, name, tag_fg, tag_bg)
+    SELECT DISTINCT ON (t.space_id, tag->>'name') t.space_id, tag->>'name', tag->>'tag_fg', tag->>'tag_bg'
+    FROM clickup_task t, jsonb_array_elements(t.tags) tag
+    WHERE jsonb_typeof(t.tags) = 'array' AND t.space_id IS NOT NULL AND tag->>'name' IS NOT NULL
+    ON CONFLICT DO NOTHING;
+
+    INSERT INTO task_tag (task_id, space_id, name)
+    SELECT t.id, t.space_id, tag->>'name'
+    FROM clickup_task t, jsonb_array_elements(t.tags) tag
+    WHERE jsonb_typeof(t.tags) = 'array' AND t.space_id IS NOT NULL AND tag->>'name' IS NOT NULL
+    ON CONFLICT DO NOTHING;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS task_attachment;
+    DROP TABLE IF EXISTS task_tag;
+    DROP TABLE IF EXISTS clickup_tag;
+    DROP TABLE IF EXISTS task_checklist_item;
+    DROP TABLE IF EXISTS task_checklist;
+  `);
+}
+
+module.exports = { up, down };
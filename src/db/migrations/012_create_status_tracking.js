@@ -0,0 +1,99 @@
+/**
+ * Status workflow catalog and status transitions: list_status holds each
+ * list's statuses with their order and type, task_status_transition records
+ * when a task entered a status, and the task_status_period view turns the
+ * transitions into periods. Transitions are seeded from the status changes
+ * already in field_changes.
+ */
+async function up(client) {
+  await client.query(`
+    -- Statuses removed from a list are kept so older transitions keep their type
+    CREATE TABLE IF NOT EXISTS list_status (
+      list_id TEXT NOT NULL REFERENCES clickup_list(id) ON DELETE CASCADE,
+      status TEXT NOT NULL,
+      status_id TEXT,
+      type TEXT,
+      orderindex INTEGER,
+      color TEXT,
+      deleted_at TIMESTAMP WITH TIME ZONE,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (list_id, status)
+    );
+
+    CREATE TABLE IF NOT EXISTS task_status_transition (
+      task_id TEXT NOT NULL REFERENCES clickup_task(id) ON DELETE CASCADE,
+      status TEXT NOT NULL,
+      entered_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      source TEXT NOT NULL CHECK (source IN ('change_log', 'clickup', 'inferred')),
+      PRIMARY KEY (task_id, entered_at, status)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_status_transition_entered ON task_status_transition(entered_at);
+  `);
+
+  // Seed the catalog from the statuses stored on lists
+  await client.query(`
+    INSERT INTO list_status (list_id, status, status_id, type, orderindex, color)
+    SELECT DISTINCT ON (l.id, lower(s->>'status'))
+      l.id, lower(s->>'status'), s->>'id', s->>'type', (s->>'orderindex')::int, s->>'color'
+    FROM clickup_list l, jsonb_array_elements(l.statuses) s
+    WHERE jsonb_typeof(l.statuses) = 'array' AND s->>'status' IS NOT NULL
+    ON CONFLICT DO NOTHING;
+  `);
+
+  // Seed transitions from logged status changes, each task starting in the
+  // status its first change moved it out of
+  await client.query(`
+    INSERT INTO task_status_transition (task_id, status, entered_at, source)
+    SELECT c.task_id, lower(c.new_value #>> '{}'), c.changed_at, 'change_log'
+    FROM field_changes c
+    JOIN clickup_task t ON t.id = c.task_id
+    WHERE c.field_kind = 'core' AND c.field_name = 'status' AND c.new_value IS NOT NULL
+    ON CONFLICT DO NOTHING;
+
+    INSERT INTO task_status_transition (task_id, status, entered_at, source)
+    SELECT DISTINCT ON (c.task_id) c.task_id, lower(c.old_value #>> '{}'), t.date_created, 'inferred'
+    FROM field_changes c
+    JOIN clickup_task t ON t.id = c.task_id
+    WHERE c.field_kind = 'core' AND c.field_name = 'status' AND c.old_value IS NOT NULL
+    AND t.date_created IS NOT NULL AND t.date_created < c.changed_at
+    ORDER BY c.task_id, c.changed_at
+    ON CONFLICT DO NOTHING;
+  `);
+
+  // Tasks without transitions are taken to have been in their current status
+  // since they were created
+  await client.query(`
+    CREATE OR REPLACE VIEW task_status_period AS
+    WITH transitions AS (
+      SELECT task_id, status, entered_at, source
+      FROM task_status_transition
+      UNION ALL
+      SELECT t.id, lower(t.status), t.date_created, 'inferred'
+      FROM clickup_task t
+      WHERE t.status IS NOT NULL AND t.date_created IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM task_status_transition s WHERE s.task_id = t.id)
+    )
+    SELECT
+      tr.task_id,
+      tr.status,
+      ls.type AS status_type,
+      ls.orderindex AS status_orderindex,
+      tr.entered_at,
+      LEAD(tr.entered_at) OVER (PARTITION BY tr.task_id ORDER BY tr.entered_at) AS exited_at,
+      tr.source
+    FROM transitions tr
+    JOIN clickup_task t ON t.id = tr.task_id
+    LEFT JOIN list_status ls ON ls.list_id = t.list_id AND ls.status = tr.status;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP VIEW IF EXISTS task_status_period;
+    DROP TABLE IF EXISTS task_status_transition;
+    DROP TABLE IF EXISTS list_status;
+  `);
+}
+
+module.exports = { up, down };
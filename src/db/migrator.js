@@ -0,0 +1,206 @@
+// Required dependencies
+const fs = require('fs');
+const path = require('path');
+
+// Advisory lock key so replicas starting together apply migrations one at a time
+const MIGRATION_LOCK_KEY = 'clickup_migrations';
+
+// Migration files are named <version>_<name>.js and applied in version order
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+/**
+ * Ordered migration runner. Applied migrations are recorded in the
+ * schema_migrations ledger; each one runs in its own transaction together
+ * with its ledger update, while a session advisory lock is held.
+ */
+class Migrator {
+  /**
+   * @param {Object} pool - pg connection pool
+   * @param {string} directory - Directory holding the migration files
+   */
+  constructor(pool, directory = path.join(__dirname, 'migrations')) {
+    this.pool = pool;
+    this.directory = directory;
+  }
+
+  /**
+   * Loads the migration files
+   * @returns {Array<Object>} { version, name, up, down } ordered by version
+   */
+  loadMigrations() {
+    return fs.readdirSync(this.directory)
+      .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const migration = require(path.join(this.directory, file));
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+          throw new Error(`Migration ${file} must export up(client) and down(client)`);
+        }
+        return { version: match[1], name: match[2], up: migration.up, down: migration.down };
+      })
+      .sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  /**
+   * Creates the ledger table if needed
+   * @param {Object} client - Database client
+   */
+  async ensureLedger(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * Gets the applied migrations from the ledger
+   * @param {Object} client - Database client
+   * @returns {Promise<Map>} Version to ledger row
+   */
+  async getApplied(client) {
+    const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+    return new Map(result.rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Runs a function on a client holding the migration lock, waiting for
+   * another process to finish first
+   * @param {Function} fn - Receives the client
+   * @returns {Promise} Result of fn
+   */
+  async withLock(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock(hashtext($1))', [MIGRATION_LOCK_KEY]);
+      try {
+        await this.ensureLedger(client);
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [MIGRATION_LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Lists every migration with whether it has been applied. Ledger entries
+   * without a file are reported as missing.
+   * @returns {Promise<Array>} { version, name, status, applied_at }
+   */
+  async getStatus() {
+    const client = await this.pool.connect();
+    try {
+      await this.ensureLedger(client);
+      const applied = await this.getApplied(client);
+      const migrations = this.loadMigrations();
+
+      const status = migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        status: applied.has(migration.version) ? 'applied' : 'pending',
+        applied_at: applied.get(migration.version)?.applied_at || null
+      }));
+
+      for (const row of applied.values()) {
+        if (!migrations.some(migration => migration.version === row.version)) {
+          status.push({ version: row.version, name: row.name, status: 'missing', applied_at: row.applied_at });
+        }
+      }
+
+      return status.sort((a, b) => Number(a.version) - Number(b.version));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Runs one migration step and updates the ledger in the same transaction
+   * @param {Object} client - Client holding the lock
+   * @param {Object} migration - Migration to run
+   * @param {string} direction - 'up' or 'down'
+   */
+  async runStep(client, migration, direction) {
+    const label = `${migration.version}_${migration.name}`;
+    try {
+      await client.query('BEGIN');
+      await migration[direction](client);
+      if (direction === 'up') {
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+      } else {
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+      await client.query('COMMIT');
+      console.log(`[Migrations] ${direction === 'up' ? 'Applied' : 'Rolled back'} ${label}`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      error.message = `Migration ${label} ${direction} failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  /**
+   * Applies pending migrations in order
+   * @param {Object} options - Migration options
+   * @param {boolean} options.dryRun - Only list what would be applied
+   * @returns {Promise<Array>} Migrations applied (or that would be)
+   */
+  async migrate({ dryRun = false } = {}) {
+    return this.withLock(async (client) => {
+      const applied = await this.getApplied(client);
+      const pending = this.loadMigrations().filter(migration => !applied.has(migration.version));
+
+      if (pending.length === 0) {
+        console.log('[Migrations] Schema is up to date');
+        return [];
+      }
+
+      for (const migration of pending) {
+        if (dryRun) {
+          console.log(`[Migrations] Would apply ${migration.version}_${migration.name}`);
+        } else {
+          await this.runStep(client, migration, 'up');
+        }
+      }
+      return pending.map(({ version, name }) => ({ version, name }));
+    });
+  }
+
+  /**
+   * Rolls back the most recently applied migrations
+   * @param {Object} options - Rollback options
+   * @param {number} options.steps - Number of migrations to roll back (default 1)
+   * @param {boolean} options.dryRun - Only list what would be rolled back
+   * @returns {Promise<Array>} Migrations rolled back (or that would be)
+   */
+  async rollback({ steps = 1, dryRun = false } = {}) {
+    return this.withLock(async (client) => {
+      const applied = await this.getApplied(client);
+      const migrations = this.loadMigrations();
+      const targets = [...applied.keys()]
+        .sort((a, b) => Number(b) - Number(a))
+        .slice(0, steps);
+
+      for (const version of targets) {
+        const migration = migrations.find(item => item.version === version);
+        if (!migration) {
+          throw new Error(`Migration ${version} is applied but its file is missing`);
+        }
+        if (dryRun) {
+          console.log(`[Migrations] Would roll back ${migration.version}_${migration.name}`);
+        } else {
+          await this.runStep(client, migration, 'down');
+        }
+      }
+      return targets.map(version => ({ version, name: applied.get(version).name }));
+    });
+  }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,25 @@
+/**
+ * Creates (or extends) the view pairing each task version with the task's
+ * current state. The view's own columns come first so that columns added to
+ * clickup_task_history later, such as promoted custom fields, can be appended
+ * with CREATE OR REPLACE. Kept apart from the pool so migrations can use it.
+ * @param {Object} client - Database client or pool
+ */
+async function refreshTaskHistoryView(client) {
+  await client.query(`
+    CREATE OR REPLACE VIEW clickup_task_versions AS
+    SELECT
+      ROW_NUMBER() OVER (PARTITION BY h.task_id ORDER BY h.valid_from, h.history_id) AS version,
+      h.valid_to IS NULL AS is_current,
+      c.id IS NULL AS is_deleted,
+      COALESCE(h.valid_to, CURRENT_TIMESTAMP) - h.valid_from AS valid_duration,
+      c.name AS current_name,
+      c.status AS current_status,
+      c.list AS current_list,
+      h.*
+    FROM clickup_task_history h
+    LEFT JOIN clickup_task c ON c.id = h.task_id
+  `);
+}
+
+module.exports = { refreshTaskHistoryView };
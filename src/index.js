@@ -1,9 +1,30 @@
 const express = require('express');
 const db = require('./db');
-const sync = require('./services/sync');
+const webhook = require('./services/webhook');
+const webhookManager = require('./services/webhookManager');
+const queue = require('./services/queue');
+const worker = require('./services/worker');
+const backfill = require('./services/backfill');
+const poller = require('./services/poller');
+const clickup = require('./services/clickup');
+const fieldMappings = require('./services/fieldMappings');
+const taskHistory = require('./services/taskHistory');
+const taskGraph = require('./services/taskGraph');
+const users = require('./services/users');
+const timeTracking = require('./services/timeTracking');
+const comments = require('./services/comments');
+const statuses = require('./services/statuses');
+const financials = require('./services/financials');
+const config = require('./config/config');
 
 const app = express();
-app.use(express.json());
+
+// Keep the raw body around so webhook signatures can be verified
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Add logging middleware
 app.use((req, res, next) => {
@@ -17,15 +38,50 @@ app.get('/test', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+// Restricts admin endpoints to callers presenting ADMIN_API_TOKEN; they are
+// disabled when no token is configured
+function requireAdminToken(req, res, next) {
+  if (!config.admin.apiToken) {
+    return res.status(503).json({ error: 'Admin endpoints are disabled: ADMIN_API_TOKEN is not set' });
+  }
+  if (req.get('Authorization') !== `Bearer ${config.admin.apiToken}`) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+}
+
+// Rejects webhook deliveries that are not signed with the webhook's secret
+async function verifyWebhookSignature(req, res, next) {
+  try {
+    const signature = req.get('X-Signature');
+    if (!signature || !req.rawBody) {
+      console.warn('Rejected unsigned webhook request');
+      return res.status(401).json({ error: 'Missing webhook signature' });
+    }
+
+    const valid = await webhook.verifySignature(req.rawBody, signature, req.body?.webhook_id);
+    if (!valid) {
+      console.warn('Rejected webhook request with invalid signature');
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Webhook verification error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
 // Webhook endpoint for real-time updates
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', verifyWebhookSignature, async (req, res) => {
   console.log('Webhook endpoint hit:', req.body);
   try {
-    const { task_id, event } = req.body;
-    if (task_id && ['taskUpdated', 'taskCreated'].includes(event)) {
-      await sync.syncTaskCustomFields(task_id);
+    // Processing happens in the workers so ClickUp gets a fast response
+    const { duplicate, job } = await webhook.acceptDelivery(req.body, req.rawBody);
+    if (duplicate) {
+      return res.status(200).json({ success: true, duplicate: true });
     }
-    res.status(200).json({ success: true });
+    res.status(202).json({ success: true, job_id: job.id });
   } catch (error) {
     console.error('Webhook error:', error);
     res.status(500).json({ error: error.message });
@@ -45,17 +101,83 @@ app.get('/api/recent-changes', async (req, res) => {
   }
 });
 
-// API endpoint to get task data
+/**
+ * Parses an optional date query parameter
+ * @param {string} value - Query parameter
+ * @param {string} name - Parameter name for the error message
+ * @returns {Date|null} Date or null when absent
+ * @throws {Error} With status 400 when the value isn't a date
+ */
+function parseDateQuery(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    const error = new Error(`${name} must be a date`);
+    error.status = 400;
+    throw error;
+  }
+  return date;
+}
+
+/**
+ * Parses an optional ?max_depth= query parameter
+ * @param {string} value - Query parameter
+ * @returns {number|null} Levels to descend, or null (unlimited) when absent
+ * @throws {Error} With status 400 when the value isn't a non-negative integer
+ */
+function parseDepthQuery(value) {
+  if (value === undefined || value === '') return null;
+  if (!/^\d{1,9}$/.test(value)) {
+    const error = new Error('max_depth must be a non-negative integer');
+    error.status = 400;
+    throw error;
+  }
+  return parseInt(value, 10);
+}
+
+// Reads a ?limit= page size, kept between 1 and maxLimit
+function parseLimitQuery(value, defaultLimit = 100, maxLimit = 1000) {
+  return Math.min(Math.max(parseInt(value, 10) || defaultLimit, 1), maxLimit);
+}
+
+// API endpoint to get task data, optionally as it was at a point in time (?as_of=)
 app.get('/api/task/:taskId', async (req, res) => {
   try {
-    const task = await db.getTaskById(req.params.taskId);
+    const asOf = parseDateQuery(req.query.as_of, 'as_of');
+    const task = asOf
+      ? await taskHistory.getTaskAsOf(req.params.taskId, asOf)
+      : await db.getTaskById(req.params.taskId);
     if (!task) {
-      return res.status(404).json({ error: 'Task not found' });
+      return res.status(404).json({ error: asOf ? 'Task not found at as_of' : 'Task not found' });
     }
     res.json(task);
   } catch (error) {
     console.error('Error fetching task:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API endpoint to get all tasks matching a filter as they were at a point in time
+app.get('/api/tasks/snapshot', async (req, res) => {
+  try {
+    const asOf = parseDateQuery(req.query.as_of, 'as_of');
+    if (!asOf) {
+      return res.status(400).json({ error: 'as_of is required' });
+    }
+
+    const tasks = await taskHistory.getSnapshot(asOf, {
+      listId: req.query.list_id,
+      folderId: req.query.folder_id,
+      spaceId: req.query.space_id,
+      status: req.query.status,
+      field: req.query.field,
+      value: req.query.value,
+      limit: parseLimitQuery(req.query.limit, 1000, 10000)
+    });
+    res.json({ as_of: asOf.toISOString(), count: tasks.length, tasks });
+  } catch (error) {
+    console.error('Error building task snapshot:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -63,21 +185,15 @@ app.get('/api/task/:taskId', async (req, res) => {
 app.post('/api/task/:taskId/sync', async (req, res) => {
   try {
     const { taskId } = req.params;
-    console.log(`Starting manual sync for task ${taskId}`);
+    console.log(`Queueing manual sync for task ${taskId}`);
 
-    // Try both custom fields and relationships sync
-    await Promise.all([
-      sync.syncTaskCustomFields(taskId),
-      sync.syncTaskRelationships(taskId)
-    ]);
+    // Manual syncs jump ahead of webhook and background work
+    const job = await queue.enqueue('task_sync', { taskId }, { priority: 10 });
 
-    // Get the updated task data to return
-    const updatedTask = await db.getTaskById(taskId);
-    
-    res.json({ 
-      success: true, 
-      message: `Successfully synced task ${taskId}`,
-      task: updatedTask
+    res.status(202).json({
+      success: true,
+      message: `Queued sync for task ${taskId}`,
+      job_id: job.id
     });
 
   } catch (error) {
@@ -86,19 +202,711 @@ app.post('/api/task/:taskId/sync', async (req, res) => {
       error: error.message,
       stack: error.stack
     });
-    
-    // Send appropriate error response
-    if (error.response?.status === 404) {
-      res.status(404).json({ 
-        error: 'Task not found in ClickUp',
-        taskId: req.params.taskId
-      });
-    } else {
-      res.status(500).json({ 
-        error: error.message,
-        taskId: req.params.taskId
-      });
+    res.status(500).json({
+      error: error.message,
+      taskId: req.params.taskId
+    });
+  }
+});
+
+// API endpoints for field change history
+async function sendTaskHistory(req, res) {
+  try {
+    const history = await db.getFieldChangeHistory(req.params.taskId, req.params.field || null, {
+      since: parseDateQuery(req.query.since, 'since'),
+      limit: parseLimitQuery(req.query.limit),
+      includeTaskDetails: req.query.include_task === 'true'
+    });
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching task history:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
+app.get('/api/task/:taskId/history', sendTaskHistory);
+app.get('/api/task/:taskId/history/:field', sendTaskHistory);
+
+app.get('/api/fields/:field/stats', async (req, res) => {
+  try {
+    const stats = await db.getFieldChangeStats(req.params.field, {
+      since: parseDateQuery(req.query.since, 'since')
+    });
+    res.json({ field: req.params.field, ...stats });
+  } catch (error) {
+    console.error('Error fetching field stats:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/changes', async (req, res) => {
+  try {
+    const changes = await db.getFieldChangeTimeline({
+      since: parseDateQuery(req.query.since, 'since'),
+      until: parseDateQuery(req.query.until, 'until'),
+      fieldName: req.query.field || null,
+      fieldKind: req.query.kind || null,
+      source: req.query.source || null,
+      limit: parseLimitQuery(req.query.limit)
+    });
+    res.json(changes);
+  } catch (error) {
+    console.error('Error fetching change timeline:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API endpoint for a task's comments, with replies nested under them
+app.get('/api/task/:taskId/comments', async (req, res) => {
+  try {
+    if (!await db.checkTaskExists(req.params.taskId)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    const taskComments = await comments.getTaskComments(req.params.taskId, {
+      includeDeleted: req.query.include_deleted === 'true'
+    });
+    res.json(taskComments);
+  } catch (error) {
+    console.error('Error fetching task comments:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API endpoints for a task's checklists and attachments
+app.get('/api/task/:taskId/checklists', async (req, res) => {
+  try {
+    if (!await db.checkTaskExists(req.params.taskId)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(await db.getTaskChecklists(req.params.taskId));
+  } catch (error) {
+    console.error('Error fetching task checklists:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/task/:taskId/attachments', async (req, res) => {
+  try {
+    if (!await db.checkTaskExists(req.params.taskId)) {
+      return res.status(404).json({ error: 'Task not found' });
     }
+    res.json(await db.getTaskAttachments(req.params.taskId));
+  } catch (error) {
+    console.error('Error fetching task attachments:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API endpoint for the checklist completion of each task
+app.get('/api/checklists/completion', async (req, res) => {
+  try {
+    const tasks = await db.getChecklistCompletion({
+      listId: req.query.list_id || null,
+      spaceId: req.query.space_id || null,
+      openOnly: req.query.open === 'true',
+      incompleteOnly: req.query.incomplete === 'true',
+      limit: parseLimitQuery(req.query.limit)
+    });
+    res.json(tasks);
+  } catch (error) {
+    console.error('Error fetching checklist completion:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API endpoints for tags and the tasks carrying them
+app.get('/api/tags', async (req, res) => {
+  try {
+    res.json(await db.getTags(req.query.space_id || null));
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/tags/tasks', async (req, res) => {
+  try {
+    const tags = (req.query.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+    if (tags.length === 0) {
+      return res.status(400).json({ error: 'tags is required' });
+    }
+    const match = req.query.match || 'any';
+    if (!['any', 'all'].includes(match)) {
+      return res.status(400).json({ error: 'match must be any or all' });
+    }
+
+    const tasks = await db.findTasksByTags(tags, {
+      match,
+      spaceId: req.query.space_id || null,
+      listId: req.query.list_id || null,
+      openOnly: req.query.open === 'true',
+      limit: parseLimitQuery(req.query.limit)
+    });
+    res.json(tasks);
+  } catch (error) {
+    console.error('Error fetching tasks by tag:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API endpoints for the task graph (subtasks, dependencies and links)
+app.get('/api/task/:taskId/links', async (req, res) => {
+  try {
+    if (!await db.checkTaskExists(req.params.taskId)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(await db.getTaskLinks(req.params.taskId));
+  } catch (error) {
+    console.error('Error fetching task links:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/task/:taskId/ancestors', async (req, res) => {
+  try {
+    if (!await db.checkTaskExists(req.params.taskId)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(await db.getTaskAncestors(req.params.taskId));
+  } catch (error) {
+    console.error('Error fetching task ancestors:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/task/:taskId/descendants', async (req, res) => {
+  try {
+    const maxDepth = parseDepthQuery(req.query.max_depth);
+    if (!await db.checkTaskExists(req.params.taskId)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    const descendants = await db.getTaskDescendants(req.params.taskId, { maxDepth });
+    res.json(descendants);
+  } catch (error) {
+    console.error('Error fetching task descendants:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Subtask tree; ?rollup=true (or a comma-separated field list) adds subtree totals
+app.get('/api/task/:taskId/tree', async (req, res) => {
+  try {
+    let rollup = false;
+    if (req.query.rollup === 'true') {
+      rollup = true;
+    } else if (req.query.rollup && req.query.rollup !== 'false') {
+      rollup = req.query.rollup.split(',').map(field => field.trim()).filter(Boolean);
+    }
+
+    const tree = await taskGraph.getTree(req.params.taskId, {
+      maxDepth: parseDepthQuery(req.query.max_depth),
+      rollup
+    });
+    if (!tree) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(tree);
+  } catch (error) {
+    console.error('Error fetching task tree:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/task/:taskId/blockers', async (req, res) => {
+  try {
+    if (!await db.checkTaskExists(req.params.taskId)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    let blockers = await db.getTaskBlockers(req.params.taskId, {
+      transitive: req.query.transitive !== 'false'
+    });
+    if (req.query.open === 'true') {
+      blockers = blockers.filter(blocker => !blocker.date_closed);
+    }
+    res.json(blockers);
+  } catch (error) {
+    console.error('Error fetching task blockers:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/task/:taskId/critical-path', async (req, res) => {
+  try {
+    const criticalPath = await taskGraph.getCriticalPath(req.params.taskId);
+    if (!criticalPath) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(criticalPath);
+  } catch (error) {
+    console.error('Error computing critical path:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API endpoints for workspace members and their work
+app.get('/api/users', async (req, res) => {
+  try {
+    res.json(await users.listUsers({ membersOnly: req.query.members === 'true' }));
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/users/sync', requireAdminToken, async (req, res) => {
+  try {
+    res.json(await users.syncMembers());
+  } catch (error) {
+    console.error('Error syncing members:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/users/:userId', async (req, res) => {
+  try {
+    const user = await users.getUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/users/:userId/tasks', async (req, res) => {
+  try {
+    const tasks = await users.getUserTasks(req.params.userId, {
+      role: req.query.role || 'assignee',
+      openOnly: req.query.open === 'true',
+      limit: parseLimitQuery(req.query.limit)
+    });
+    res.json(tasks);
+  } catch (error) {
+    console.error('Error fetching user tasks:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/workload', async (req, res) => {
+  try {
+    const workload = await users.getWorkload({
+      spaceId: req.query.space_id || null,
+      listId: req.query.list_id || null
+    });
+    res.json(workload);
+  } catch (error) {
+    console.error('Error fetching workload:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API endpoints for time entries and utilization
+app.post('/api/time-entries/sync', requireAdminToken, async (req, res) => {
+  try {
+    if (req.body?.task_id) {
+      const entries = await timeTracking.syncTaskEntries(req.body.task_id);
+      return res.json({ task_id: req.body.task_id, entries });
+    }
+
+    // Defaults to the last 30 days
+    const end = parseDateQuery(req.body?.end, 'end') || new Date();
+    const start = parseDateQuery(req.body?.start, 'start') || new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (start >= end) {
+      return res.status(400).json({ error: 'start must be before end' });
+    }
+    res.json(await timeTracking.syncRange(start, end));
+  } catch (error) {
+    console.error('Error syncing time entries:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/utilization', async (req, res) => {
+  try {
+    const start = parseDateQuery(req.query.start, 'start');
+    const end = parseDateQuery(req.query.end, 'end');
+    if (!start || !end) {
+      return res.status(400).json({ error: 'start and end are required' });
+    }
+    if (start >= end) {
+      return res.status(400).json({ error: 'start must be before end' });
+    }
+
+    const utilization = await timeTracking.getUtilization({
+      start,
+      end,
+      groupBy: req.query.group_by || 'person',
+      userId: req.query.user_id || null
+    });
+    res.json({ start: start.toISOString(), end: end.toISOString(), group_by: req.query.group_by || 'person', utilization });
+  } catch (error) {
+    console.error('Error computing utilization:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API endpoints for status workflows, time in status and cycle time
+app.get('/api/lists/:listId/statuses', async (req, res) => {
+  try {
+    const listStatuses = await statuses.getListStatuses(req.params.listId, {
+      includeDeleted: req.query.include_deleted === 'true'
+    });
+    res.json(listStatuses);
+  } catch (error) {
+    console.error('Error fetching list statuses:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/task/:taskId/time-in-status', async (req, res) => {
+  try {
+    const timeInStatus = await statuses.getTaskTimeInStatus(req.params.taskId);
+    if (!timeInStatus) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(timeInStatus);
+  } catch (error) {
+    console.error('Error fetching time in status:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/time-in-status/sync', requireAdminToken, async (req, res) => {
+  try {
+    if (req.body?.task_id) {
+      if (!await db.checkTaskExists(req.body.task_id)) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+      const transitions = await statuses.syncTaskTimeInStatus(req.body.task_id);
+      return res.json({ task_id: req.body.task_id, transitions });
+    }
+    if (req.body?.list_id) {
+      return res.json(await statuses.syncListTimeInStatus(req.body.list_id));
+    }
+    res.status(400).json({ error: 'task_id or list_id is required' });
+  } catch (error) {
+    console.error('Error syncing time in status:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Parses the range and grouping shared by the status reports
+function parseStatusReportQuery(query) {
+  const start = parseDateQuery(query.start, 'start');
+  const end = parseDateQuery(query.end, 'end');
+  if (!start || !end || start >= end) {
+    const error = new Error('start and end are required, with start before end');
+    error.status = 400;
+    throw error;
+  }
+  return {
+    start,
+    end,
+    groupBy: query.group_by || 'list',
+    listId: query.list_id || null,
+    spaceId: query.space_id || null
+  };
+}
+
+app.get('/api/reports/time-in-status', async (req, res) => {
+  try {
+    const options = parseStatusReportQuery(req.query);
+    const report = await statuses.getTimeInStatusReport(options);
+    res.json({ start: options.start.toISOString(), end: options.end.toISOString(), group_by: options.groupBy, report });
+  } catch (error) {
+    console.error('Error computing time in status report:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/reports/cycle-time', async (req, res) => {
+  try {
+    const options = parseStatusReportQuery(req.query);
+    const report = await statuses.getCycleTimeReport(options);
+    res.json({ start: options.start.toISOString(), end: options.end.toISOString(), group_by: options.groupBy, report });
+  } catch (error) {
+    console.error('Error computing cycle time report:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API endpoints for job financials (revenue, cost, fees and budget fields)
+function parseFinancialsQuery(query) {
+  return {
+    periodField: query.period_field || 'start_job',
+    start: parseDateQuery(query.start, 'start'),
+    end: parseDateQuery(query.end, 'end'),
+    listId: query.list_id || null,
+    spaceId: query.space_id || null,
+    client: query.client || null,
+    openOnly: query.open === 'true'
+  };
+}
+
+app.get('/api/financials/jobs', async (req, res) => {
+  try {
+    res.json(await financials.getJobMargins(parseFinancialsQuery(req.query)));
+  } catch (error) {
+    console.error('Error computing job margins:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/financials/totals', async (req, res) => {
+  try {
+    const totals = await financials.getTotals({
+      ...parseFinancialsQuery(req.query),
+      groupBy: req.query.group_by || 'client'
+    });
+    res.json(totals);
+  } catch (error) {
+    console.error('Error computing financial totals:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/financials/budget-variance', async (req, res) => {
+  try {
+    const variance = await financials.getBudgetVariance({
+      ...parseFinancialsQuery(req.query),
+      overBudgetOnly: req.query.over_budget === 'true'
+    });
+    res.json(variance);
+  } catch (error) {
+    console.error('Error computing budget variance:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Rejects job IDs that aren't sync_job ids (positive integers)
+function validateJobId(req, res, next) {
+  if (!/^[1-9]\d{0,17}$/.test(req.params.jobId)) {
+    return res.status(400).json({ error: 'jobId must be a positive integer' });
+  }
+  next();
+}
+
+// Admin endpoints to inspect queued jobs; payloads hold full webhook bodies
+app.get('/api/jobs', requireAdminToken, async (req, res) => {
+  try {
+    const [jobs, stats] = await Promise.all([
+      queue.listJobs({
+        status: req.query.status || null,
+        limit: parseLimitQuery(req.query.limit)
+      }),
+      queue.getStats()
+    ]);
+    res.json({ stats, jobs });
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/jobs/:jobId', requireAdminToken, validateJobId, async (req, res) => {
+  try {
+    const job = await queue.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/jobs/:jobId/retry', requireAdminToken, validateJobId, async (req, res) => {
+  try {
+    const job = await queue.retry(req.params.jobId);
+    if (!job) {
+      return res.status(409).json({ error: 'Only failed jobs can be retried' });
+    }
+    res.status(202).json(job);
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to check the state of the ClickUp API client
+app.get('/api/clickup/status', (req, res) => {
+  res.json({
+    circuit: clickup.getCircuitState(),
+    rateLimit: clickup.getRateLimitState()
+  });
+});
+
+// Admin endpoints to manage custom field mappings at runtime
+app.get('/api/field-mappings', requireAdminToken, async (req, res) => {
+  try {
+    res.json(await fieldMappings.list());
+  } catch (error) {
+    console.error('Error listing field mappings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/field-mappings/:mappingId', requireAdminToken, async (req, res) => {
+  try {
+    const mapping = await fieldMappings.get(req.params.mappingId);
+    if (!mapping) {
+      return res.status(404).json({ error: 'Field mapping not found' });
+    }
+    res.json(mapping);
+  } catch (error) {
+    console.error('Error fetching field mapping:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/field-mappings', requireAdminToken, async (req, res) => {
+  try {
+    const mapping = await fieldMappings.create(req.body);
+    res.status(201).json(mapping);
+  } catch (error) {
+    console.error('Error creating field mapping:', error);
+    // Unique violation on clickup_field_id
+    const status = error.code === '23505' ? 409 : error.status || 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+app.put('/api/field-mappings/:mappingId', requireAdminToken, async (req, res) => {
+  try {
+    const mapping = await fieldMappings.update(req.params.mappingId, req.body);
+    if (!mapping) {
+      return res.status(404).json({ error: 'Field mapping not found' });
+    }
+    res.json(mapping);
+  } catch (error) {
+    console.error('Error updating field mapping:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/field-mappings/:mappingId', requireAdminToken, async (req, res) => {
+  try {
+    const deleted = await fieldMappings.remove(req.params.mappingId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Field mapping not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting field mapping:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin endpoints to run and monitor full-workspace backfills
+app.post('/api/backfill', requireAdminToken, async (req, res) => {
+  try {
+    const run = await backfill.start({ restart: req.body.restart === true });
+    res.status(202).json(run);
+  } catch (error) {
+    console.error('Error starting backfill:', error);
+    const status = error.message === 'A backfill is already running' ? 409 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+app.get('/api/backfill', requireAdminToken, async (req, res) => {
+  try {
+    const runs = await backfill.getRuns(parseLimitQuery(req.query.limit, 10));
+    res.json(runs);
+  } catch (error) {
+    console.error('Error fetching backfill runs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin endpoints to run an incremental poll on demand and inspect its watermark
+app.post('/api/poll', requireAdminToken, async (req, res) => {
+  try {
+    const result = await poller.pollOnce();
+    res.json(result);
+  } catch (error) {
+    console.error('Error polling ClickUp:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/poll', requireAdminToken, async (req, res) => {
+  try {
+    const watermark = await poller.getWatermark();
+    res.json({
+      watermark,
+      watermark_at: new Date(watermark).toISOString(),
+      interval_minutes: config.polling.intervalMinutes
+    });
+  } catch (error) {
+    console.error('Error fetching poll watermark:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin endpoints to manage the workspace's ClickUp webhooks
+app.get('/api/webhooks', requireAdminToken, async (req, res) => {
+  try {
+    const webhooks = req.query.refresh === 'true'
+      ? await webhookManager.refreshWebhooks()
+      : await webhookManager.listWebhooks();
+    res.json(webhooks.map(hook => webhookManager.toPublic(hook)));
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/webhooks', requireAdminToken, async (req, res) => {
+  try {
+    const created = await webhookManager.createWebhook({
+      endpoint: req.body.endpoint,
+      events: req.body.events
+    });
+    res.status(201).json(webhookManager.toPublic(created));
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(error.response?.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/webhooks/reconcile', requireAdminToken, async (req, res) => {
+  try {
+    const summary = await webhookManager.reconcile({
+      endpoint: req.body.endpoint || config.webhook.endpoint,
+      events: req.body.events || config.webhook.events
+    });
+    res.json(summary);
+  } catch (error) {
+    console.error('Error reconciling webhooks:', error);
+    res.status(error.response?.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/api/webhooks/:webhookId', requireAdminToken, async (req, res) => {
+  try {
+    const updated = await webhookManager.updateWebhook(req.params.webhookId, {
+      endpoint: req.body.endpoint,
+      events: req.body.events,
+      status: req.body.status
+    });
+    res.json(webhookManager.toPublic(updated));
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(error.response?.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/webhooks/:webhookId', requireAdminToken, async (req, res) => {
+  try {
+    await webhookManager.deleteWebhook(req.params.webhookId);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(error.response?.status || 500).json({ error: error.message });
   }
 });
 
@@ -120,6 +928,28 @@ async function start() {
     await db.initializeTables();
     console.log('Database tables initialized');
 
+    // Self-register our webhook endpoint; a failure here shouldn't stop the API
+    if (config.webhook.endpoint) {
+      try {
+        console.log('Reconciling ClickUp webhooks...');
+        await webhookManager.reconcile();
+      } catch (error) {
+        console.error('Webhook registration failed:', error.message);
+      }
+    }
+
+    // Start consuming queued jobs
+    if (config.queue.workersEnabled) {
+      worker.start();
+    }
+
+    // Poll for changes webhooks may have missed
+    poller.start();
+
+    if (!config.admin.apiToken) {
+      console.warn('WARNING: ADMIN_API_TOKEN is not set, admin endpoints are disabled');
+    }
+
     // Start server
     const port = process.env.PORT || 3000;
     app.listen(port, () => {
@@ -128,8 +958,51 @@ async function start() {
       console.log('- GET /test');
       console.log('- POST /webhook');
       console.log('- GET /api/recent-changes');
-      console.log('- GET /api/task/:taskId');
-      console.log('- POST /api/task/:taskId/sync  <- Manual sync endpoint');
+      console.log('- GET /api/task/:taskId  (?as_of= for a point in time)');
+      console.log('- GET /api/tasks/snapshot?as_of=');
+      console.log('- POST /api/task/:taskId/sync  <- Manual sync endpoint (queued)');
+      console.log('- GET /api/task/:taskId/history');
+      console.log('- GET /api/task/:taskId/history/:field');
+      console.log('- GET /api/fields/:field/stats');
+      console.log('- GET /api/changes');
+      console.log('- GET /api/task/:taskId/comments');
+      console.log('- GET /api/task/:taskId/checklists');
+      console.log('- GET /api/task/:taskId/attachments');
+      console.log('- GET /api/checklists/completion');
+      console.log('- GET /api/tags');
+      console.log('- GET /api/tags/tasks?tags=&match=any|all');
+      console.log('- GET /api/task/:taskId/links');
+      console.log('- GET /api/task/:taskId/ancestors');
+      console.log('- GET /api/task/:taskId/descendants');
+      console.log('- GET /api/task/:taskId/tree  (?rollup=true for subtree totals)');
+      console.log('- GET /api/task/:taskId/blockers');
+      console.log('- GET /api/task/:taskId/critical-path');
+      console.log('- GET /api/users');
+      console.log('- POST /api/users/sync');
+      console.log('- GET /api/users/:userId');
+      console.log('- GET /api/users/:userId/tasks');
+      console.log('- GET /api/workload');
+      console.log('- POST /api/time-entries/sync');
+      console.log('- GET /api/utilization?start=&end=');
+      console.log('- GET /api/lists/:listId/statuses');
+      console.log('- GET /api/task/:taskId/time-in-status');
+      console.log('- POST /api/time-in-status/sync');
+      console.log('- GET /api/reports/time-in-status?start=&end=');
+      console.log('- GET /api/reports/cycle-time?start=&end=');
+      console.log('- GET /api/financials/jobs');
+      console.log('- GET /api/financials/totals?group_by=client|task_type');
+      console.log('- GET /api/financials/budget-variance');
+      console.log('- GET /api/clickup/status');
+      console.log('- GET /api/jobs');
+      console.log('- GET /api/jobs/:jobId');
+      console.log('- POST /api/jobs/:jobId/retry');
+      console.log('- GET/POST /api/field-mappings');
+      console.log('- GET/PUT/DELETE /api/field-mappings/:mappingId');
+      console.log('- GET/POST /api/backfill');
+      console.log('- GET/POST /api/poll');
+      console.log('- GET/POST /api/webhooks');
+      console.log('- PUT/DELETE /api/webhooks/:webhookId');
+      console.log('- POST /api/webhooks/reconcile');
     });
   } catch (error) {
     console.error('Failed to start application:', error);
@@ -143,6 +1016,15 @@ process.on('uncaughtException', (error) => {
   process.exit(1);
 });
 
+// Let in-flight jobs finish before exiting
+process.on('SIGTERM', async () => {
+  console.log('SIGTERM received, stopping workers...');
+  poller.stop();
+  await worker.stop();
+  await db.pool.end();
+  process.exit(0);
+});
+
 process.on('unhandledRejection', (error) => {
   console.error('Unhandled rejection:', error);
   process.exit(1);
@@ -0,0 +1,329 @@
+// Required dependencies
+const db = require('../db');
+const clickup = require('./clickup');
+const sync = require('./sync');
+const taskTypeSync = require('./taskTypeSync');
+const hierarchy = require('./hierarchy');
+const users = require('./users');
+const timeTracking = require('./timeTracking');
+const comments = require('./comments');
+const statuses = require('./statuses');
+const config = require('../config/config');
+
+// Advisory lock key so only one backfill runs across all replicas
+const BACKFILL_LOCK_KEY = 'clickup_backfill';
+
+/**
+ * Service class that walks the whole workspace (spaces, folders, lists and
+ * every page of tasks) and syncs each task, checkpointing progress per list
+ * in backfill_checkpoint so an interrupted run resumes where it stopped
+ */
+class BackfillService {
+  /**
+   * Runs a backfill to completion
+   * @param {Object} options - Backfill options
+   * @param {boolean} options.restart - Start a new run instead of resuming
+   * @returns {Promise<Object>} Finished run
+   */
+  async run(options = {}) {
+    const session = await this.begin(options);
+    return this.walk(session);
+  }
+
+  /**
+   * Starts a backfill in the background
+   * @param {Object} options - Backfill options, as for run()
+   * @returns {Promise<Object>} Run that was started or resumed
+   */
+  async start(options = {}) {
+    const session = await this.begin(options);
+    this.walk(session).catch(error => {
+      console.error(`[Backfill] Run ${session.run.id} failed:`, error.message);
+    });
+    return session.run;
+  }
+
+  /**
+   * Takes the backfill lock and picks the run to work on
+   * @param {Object} options - Backfill options
+   * @returns {Promise<Object>} { client, run } holding the lock
+   */
+  async begin({ restart = false } = {}) {
+    const client = await db.pool.connect();
+    try {
+      const lock = await client.query(
+        'SELECT pg_try_advisory_lock(hashtext($1)) AS acquired',
+        [BACKFILL_LOCK_KEY]
+      );
+      if (!lock.rows[0].acquired) {
+        throw new Error('A backfill is already running');
+      }
+
+      // An unfinished run left behind by a crash or failure is resumed
+      let run = null;
+      if (!restart) {
+        const unfinished = await client.query(`
+          SELECT * FROM backfill_run
+          WHERE status IN ('running', 'failed')
+          ORDER BY id DESC
+          LIMIT 1
+        `);
+        run = unfinished.rows[0] || null;
+      }
+
+      if (run) {
+        const resumed = await client.query(`
+          UPDATE backfill_run
+          SET status = 'running', last_error = NULL, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+          RETURNING *
+        `, [run.id]);
+        run = resumed.rows[0];
+        console.log(`[Backfill] Resuming run ${run.id}`);
+      } else {
+        // Close off any older unfinished run so it isn't resumed later
+        await client.query(`
+          UPDATE backfill_run
+          SET status = 'abandoned', updated_at = CURRENT_TIMESTAMP
+          WHERE status IN ('running', 'failed')
+        `);
+        const created = await client.query('INSERT INTO backfill_run DEFAULT VALUES RETURNING *');
+        run = created.rows[0];
+        console.log(`[Backfill] Starting run ${run.id}`);
+      }
+
+      return { client, run };
+    } catch (error) {
+      await this.releaseLock(client);
+      throw error;
+    }
+  }
+
+  /**
+   * Releases the backfill lock and its connection
+   * @param {Object} client - Client holding the lock
+   */
+  async releaseLock(client) {
+    try {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [BACKFILL_LOCK_KEY]);
+    } catch (error) {
+      console.error('[Backfill] Error releasing lock:', error.message);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Walks the workspace hierarchy for a run at background priority
+   * @param {Object} session - Result of begin()
+   * @returns {Promise<Object>} Finished run
+   */
+  async walk(session) {
+    // Backfill requests yield to manual syncs and webhooks
+    return clickup.withPriority('background', () => this.walkHierarchy(session));
+  }
+
+  /**
+   * Syncs every list in the workspace and records the outcome on the run
+   * @param {Object} session - Result of begin()
+   * @returns {Promise<Object>} Finished run
+   */
+  async walkHierarchy({ client, run }) {
+    try {
+      // Task types are refreshed once instead of for every task
+      try {
+        await taskTypeSync.syncTaskTypes();
+      } catch (error) {
+        console.warn('[Backfill] Continuing without refreshed task types:', error.message);
+      }
+
+      // Members too, so assignees and watchers are stored with their details
+      try {
+        await users.syncMembers();
+      } catch (error) {
+        console.warn('[Backfill] Continuing without refreshed members:', error.message);
+      }
+
+      const spaces = await clickup.getSpaces(config.clickup.workspaceId);
+      for (const space of spaces) {
+        await hierarchy.saveSpace(space);
+        const lists = await this.getSpaceLists(space);
+        console.log(`[Backfill] Space ${space.name}: ${lists.length} lists`);
+
+        for (const list of lists) {
+          // Closed tasks come with include_closed; archived ones need their own pass
+          for (const archived of [false, true]) {
+            await this.backfillList(run, list, archived);
+          }
+        }
+      }
+
+      // Time entries are fetched by date across the workspace, not per list
+      try {
+        const end = new Date();
+        const start = new Date(end.getTime() - config.timeTracking.backfillDays * 24 * 60 * 60 * 1000);
+        await timeTracking.syncRange(start, end);
+      } catch (error) {
+        console.warn('[Backfill] Time entries were not synced:', error.message);
+      }
+
+      const finished = await client.query(`
+        UPDATE backfill_run
+        SET status = 'completed', finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [run.id]);
+      console.log(`[Backfill] Run ${run.id} completed:`, {
+        tasksSynced: finished.rows[0].tasks_synced,
+        tasksFailed: finished.rows[0].tasks_failed
+      });
+      return finished.rows[0];
+
+    } catch (error) {
+      await client.query(`
+        UPDATE backfill_run
+        SET status = 'failed', last_error = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [run.id, error.message]);
+      throw error;
+    } finally {
+      await this.releaseLock(client);
+    }
+  }
+
+  /**
+   * Gets every list in a space, both folderless and inside folders, saving
+   * the folders and lists to the hierarchy tables on the way
+   * @param {Object} space - Space from the ClickUp API
+   * @returns {Promise<Array>} Lists annotated with spaceId and folderId
+   */
+  async getSpaceLists(space) {
+    const lists = (await clickup.getLists(space.id))
+      .map(list => ({ ...list, spaceId: space.id, folderId: null }));
+
+    const folders = await clickup.getFolders(space.id);
+    for (const folder of folders) {
+      await hierarchy.saveFolder(folder, space.id);
+      const folderLists = await clickup.getLists(space.id, folder.id);
+      lists.push(...folderLists.map(list => ({ ...list, spaceId: space.id, folderId: folder.id })));
+    }
+
+    for (const list of lists) {
+      await hierarchy.saveList(list, { spaceId: list.spaceId, folderId: list.folderId });
+    }
+    return lists;
+  }
+
+  /**
+   * Syncs every page of a list's tasks, starting from its checkpoint
+   * @param {Object} run - Current backfill run
+   * @param {Object} list - List annotated by getSpaceLists
+   * @param {boolean} archived - Whether to walk archived tasks
+   */
+  async backfillList(run, list, archived) {
+    const checkpointResult = await db.query(`
+      INSERT INTO backfill_checkpoint (run_id, list_id, archived, space_id, folder_id, list_name)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (run_id, list_id, archived) DO UPDATE SET list_name = EXCLUDED.list_name
+      RETURNING *
+    `, [run.id, list.id, archived, list.spaceId, list.folderId, list.name]);
+    const checkpoint = checkpointResult.rows[0];
+
+    if (checkpoint.completed) return;
+
+    let page = checkpoint.next_page;
+    let lastPage = false;
+
+    while (!lastPage) {
+      const result = await clickup.getListTasksPage(list.id, page, { archived });
+      let synced = 0;
+      let failed = 0;
+
+      for (const task of result.tasks) {
+        if (await this.syncTask(task)) {
+          synced++;
+        } else {
+          failed++;
+        }
+      }
+
+      lastPage = result.lastPage || result.tasks.length === 0;
+      page++;
+
+      // Checkpoint after each page; a page cut short is simply synced again
+      await db.query(`
+        UPDATE backfill_checkpoint
+        SET next_page = $4,
+            tasks_synced = tasks_synced + $5,
+            completed = $6,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE run_id = $1 AND list_id = $2 AND archived = $3
+      `, [run.id, list.id, archived, page, synced, lastPage]);
+
+      await db.query(`
+        UPDATE backfill_run
+        SET tasks_synced = tasks_synced + $2,
+            tasks_failed = tasks_failed + $3,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [run.id, synced, failed]);
+    }
+
+    console.log(`[Backfill] List ${list.name}${archived ? ' (archived)' : ''} done`);
+  }
+
+  /**
+   * Syncs a task from a list page without re-fetching it, its comments and,
+   * when enabled, its time in status
+   * @param {Object} task - Task from the ClickUp API
+   * @returns {Promise<boolean>} Whether the sync succeeded
+   */
+  async syncTask(task) {
+    const taskDetails = clickup.normalizeTask(task);
+    const result = await sync.syncTask(task.id, { taskDetails, syncTaskTypes: false, source: 'backfill' });
+    if (!result.success) {
+      console.warn(`[Backfill] Failed to sync task ${task.id}:`, result.error);
+      return false;
+    }
+
+    if (config.comments.backfill) {
+      try {
+        await comments.syncTaskComments(task.id);
+      } catch (error) {
+        // The task itself is synced; its comments follow with the next comment event
+        console.warn(`[Backfill] Failed to sync comments of task ${task.id}:`, error.message);
+      }
+    }
+    if (config.statuses.timeInStatusBackfill) {
+      try {
+        await statuses.syncTaskTimeInStatus(task.id);
+      } catch (error) {
+        console.warn(`[Backfill] Failed to sync time in status of task ${task.id}:`, error.message);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Gets recent runs with their list progress
+   * @param {number} limit - Maximum number of runs
+   * @returns {Promise<Array>} Runs, most recent first
+   */
+  async getRuns(limit = 10) {
+    const result = await db.query(`
+      SELECT
+        r.*,
+        COUNT(c.list_id)::int AS lists_started,
+        COUNT(c.list_id) FILTER (WHERE c.completed)::int AS lists_completed
+      FROM backfill_run r
+      LEFT JOIN backfill_checkpoint c ON c.run_id = r.id
+      GROUP BY r.id
+      ORDER BY r.id DESC
+      LIMIT $1
+    `, [limit]);
+    return result.rows;
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new BackfillService();
@@ -0,0 +1,141 @@
+/**
+ * Error thrown instead of calling a service whose circuit is open
+ */
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuit for ${name} is open until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.retryAt = retryAt;
+    // Retrying against an open circuit only burns attempts
+    this.noRetry = true;
+  }
+}
+
+/**
+ * Circuit breaker that stops calling a service after sustained failure.
+ *
+ * closed: calls go through; consecutive failures are counted
+ * open: calls fail fast with CircuitOpenError until resetTimeout has passed
+ * half_open: a single trial call is let through; success closes the circuit,
+ *   failure opens it again
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {string} options.name - Service name used in logs and errors
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeout - Time the circuit stays open in ms
+   * @param {Function} options.isFailure - Decides whether an error counts as a service failure
+   */
+  constructor({ name, failureThreshold = 5, resetTimeout = 60 * 1000, isFailure = () => true }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.isFailure = isFailure;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Time at which an open circuit lets a trial call through
+   * @returns {number|null} Epoch milliseconds or null when not open
+   */
+  getRetryAt() {
+    return this.openedAt === null ? null : this.openedAt + this.resetTimeout;
+  }
+
+  /**
+   * Whether calls are currently being rejected
+   * @returns {boolean} True while open and not yet due for a trial
+   */
+  isOpen() {
+    return this.state === 'open' && Date.now() < this.getRetryAt();
+  }
+
+  /**
+   * Runs a call through the breaker
+   * @param {Function} fn - Function calling the service
+   * @returns {Promise} Result of the call
+   */
+  async execute(fn) {
+    if (this.state === 'open') {
+      if (Date.now() < this.getRetryAt()) {
+        throw new CircuitOpenError(this.name, this.getRetryAt());
+      }
+      this.transition('half_open');
+    }
+
+    // Only one trial call at a time while half open
+    const isTrial = this.state === 'half_open';
+    if (isTrial) {
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(this.name, Date.now() + 1000);
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      this.onError(error);
+      throw error;
+    } finally {
+      if (isTrial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  onSuccess() {
+    this.failures = 0;
+    if (this.state !== 'closed') {
+      this.transition('closed');
+    }
+  }
+
+  onError(error) {
+    if (!this.isFailure(error)) {
+      // e.g. a 404 proves the service is up
+      this.onSuccess();
+      return;
+    }
+
+    this.failures++;
+    this.lastError = error.message;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.transition('open');
+    }
+  }
+
+  transition(state) {
+    this.state = state;
+    this.openedAt = state === 'open' ? Date.now() : null;
+    if (state === 'open') {
+      console.error(`[Circuit] ${this.name} circuit opened after ${this.failures} failures:`, this.lastError);
+    } else {
+      console.log(`[Circuit] ${this.name} circuit ${state}`);
+    }
+  }
+
+  /**
+   * Gets the breaker state for monitoring
+   * @returns {Object} State, failure count and next trial time
+   */
+  getState() {
+    const retryAt = this.getRetryAt();
+    return {
+      state: this.isOpen() || this.state !== 'open' ? this.state : 'half_open',
+      failures: this.failures,
+      lastError: this.lastError,
+      retryAt: retryAt ? new Date(retryAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError };
@@ -1,6 +1,13 @@
 // Required dependencies
+const { AsyncLocalStorage } = require('async_hooks');
 const axios = require('axios');
 const config = require('../config/config');
+const { RateLimiter, PRIORITY } = require('./rateLimiter');
+const RetryPolicy = require('./retryPolicy');
+const { CircuitBreaker } = require('./circuitBreaker');
+
+// Carries the request priority through everything a job calls
+const priorityContext = new AsyncLocalStorage();
 
 /**
  * Service class to handle all ClickUp API interactions
@@ -17,29 +24,101 @@ class ClickUpService {
         'Content-Type': 'application/json'
       }
     });
+
+    this.retryPolicy = new RetryPolicy(config.clickup.retry);
+
+    // Only outages count against the breaker; 4xx responses mean ClickUp is up
+    this.breaker = new CircuitBreaker({
+      name: 'ClickUp',
+      ...config.clickup.circuitBreaker,
+      isFailure: (error) => !error.response || error.response.status >= 500
+    });
+
+    // One limiter for every request made through the client
+    this.limiter = new RateLimiter({ limit: config.clickup.rateLimitPerMinute });
+
+    this.client.interceptors.request.use(async (requestConfig) => {
+      await this.limiter.acquire(priorityContext.getStore() ?? PRIORITY.normal);
+      return requestConfig;
+    });
+
+    this.client.interceptors.response.use(
+      (response) => {
+        this.limiter.updateFromHeaders(response.headers, response.status);
+        return response;
+      },
+      (error) => {
+        if (error.response) {
+          this.limiter.updateFromHeaders(error.response.headers, error.response.status);
+        }
+        return Promise.reject(error);
+      }
+    );
   }
 
   /**
-   * Retry a failed request with exponential backoff
-   * @param {Function} fn - The function to retry
-   * @param {number} retries - Number of retry attempts
-   * @param {number} delay - Base delay between retries in ms
-   * @returns {Promise} - Result of the request
+   * Run a function with every ClickUp request it makes queued at a priority
+   * @param {string} priority - 'interactive', 'normal' or 'background'
+   * @param {Function} fn - Function to run
+   * @returns {Promise} Result of the function
    */
-  async retryRequest(fn, retries = 3, delay = 1000) {
-    for (let i = 0; i < retries; i++) {
-      try {
-        return await fn();
-      } catch (error) {
-        // If it's a 502 error or rate limit, wait and retry
-        if ((error.response?.status === 502 || error.response?.status === 429) && i < retries - 1) {
-          console.log(`Attempt ${i + 1} failed, retrying after ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay * (i + 1))); // Exponential backoff
-          continue;
-        }
-        throw error;
-      }
-    }
+  withPriority(priority, fn) {
+    return priorityContext.run(PRIORITY[priority] ?? PRIORITY.normal, fn);
+  }
+
+  /**
+   * Get the rate limiter state
+   * @returns {Object} Limit, available tokens, queued requests and pause
+   */
+  getRateLimitState() {
+    return this.limiter.getState();
+  }
+
+  /**
+   * Send a request through the circuit breaker and retry policy. Every
+   * ClickUp call goes through here so failures are handled uniformly. The
+   * breaker wraps the retries, so a call only counts as one failure once all
+   * of its attempts have failed.
+   * @param {Object} requestConfig - Axios request config
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(requestConfig) {
+    const description = `${requestConfig.method.toUpperCase()} ${requestConfig.url}`;
+    return this.breaker.execute(
+      () => this.retryPolicy.execute(() => this.client.request(requestConfig), description)
+    );
+  }
+
+  get(url, requestConfig = {}) {
+    return this.request({ ...requestConfig, method: 'get', url });
+  }
+
+  post(url, data, requestConfig = {}) {
+    return this.request({ ...requestConfig, method: 'post', url, data });
+  }
+
+  put(url, data, requestConfig = {}) {
+    return this.request({ ...requestConfig, method: 'put', url, data });
+  }
+
+  delete(url, requestConfig = {}) {
+    return this.request({ ...requestConfig, method: 'delete', url });
+  }
+
+  /**
+   * Get the circuit breaker state
+   * @returns {Object} State, failure count and next trial time
+   */
+  getCircuitState() {
+    return this.breaker.getState();
+  }
+
+  /**
+   * Whether ClickUp calls are currently failing fast
+   * @returns {boolean} True while the circuit is open
+   */
+  isCircuitOpen() {
+    return this.breaker.isOpen();
   }
 
   /**
@@ -49,7 +128,7 @@ class ClickUpService {
    */
   async getSpaces(workspaceId) {
     try {
-      const response = await this.client.get(`/team/${workspaceId}/space`);
+      const response = await this.get(`/team/${workspaceId}/space`);
       return response.data.spaces;
     } catch (error) {
       console.error(`Error fetching spaces for workspace ${workspaceId}:`, error.message);
@@ -57,6 +136,104 @@ class ClickUpService {
     }
   }
 
+  /**
+   * Get the members of a workspace
+   * @param {string} workspaceId - ID of the workspace
+   * @returns {Promise<Array>} Member users
+   */
+  async getWorkspaceMembers(workspaceId) {
+    try {
+      // Members are only listed with the authorized workspaces
+      const response = await this.get('/team');
+      const workspace = (response.data.teams || []).find(team => String(team.id) === String(workspaceId));
+      if (!workspace) {
+        throw new Error(`Workspace ${workspaceId} is not available to this token`);
+      }
+      return (workspace.members || []).map(member => member.user).filter(Boolean);
+    } catch (error) {
+      console.error(`Error fetching members of workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single space
+   * @param {string} spaceId - ID of the space
+   * @returns {Promise<Object>} Space details
+   */
+  async getSpace(spaceId) {
+    const response = await this.get(`/space/${spaceId}`);
+    return response.data;
+  }
+
+  /**
+   * Get a single folder
+   * @param {string} folderId - ID of the folder
+   * @returns {Promise<Object>} Folder details
+   */
+  async getFolder(folderId) {
+    const response = await this.get(`/folder/${folderId}`);
+    return response.data;
+  }
+
+  /**
+   * Get a single list
+   * @param {string} listId - ID of the list
+   * @returns {Promise<Object>} List details
+   */
+  async getList(listId) {
+    const response = await this.get(`/list/${listId}`);
+    return response.data;
+  }
+
+  /**
+   * Normalize a task object returned by any task endpoint
+   * @param {Object} task - Raw task from the ClickUp API
+   * @returns {Object} Task with defaults for custom fields, parent and type
+   */
+  normalizeTask(task) {
+    return {
+      ...task,
+      custom_fields: task.custom_fields || [],
+      parent: task.parent || null,
+      custom_type: task.custom_type ? {
+        id: task.custom_type.id,
+        name: task.custom_type.name,
+        color: task.custom_type.color
+      } : null
+    };
+  }
+
+  /**
+   * Reduces a list, folder or space object embedded in a task or history item
+   * to the fields stored on tasks, so the same location always compares equal
+   * @param {string} kind - One of 'list', 'folder' or 'space'
+   * @param {Object} value - Embedded location object
+   * @returns {Object|null} Location or null when absent
+   */
+  normalizeLocation(kind, value) {
+    if (!value?.id) return null;
+    switch (kind) {
+      case 'space':
+        return { id: String(value.id) };
+      case 'folder':
+        return { id: String(value.id), name: value.name ?? null, hidden: !!value.hidden };
+      default:
+        return { id: String(value.id), name: value.name ?? null };
+    }
+  }
+
+  /**
+   * Reduces a user object from a task, history item or member list to the
+   * fields stored on tasks, so the same user always compares equal
+   * @param {Object} user - ClickUp user
+   * @returns {Object|null} { id, username, email } or null when absent
+   */
+  normalizeUser(user) {
+    if (!user?.id) return null;
+    return { id: user.id, username: user.username ?? null, email: user.email ?? null };
+  }
+
   /**
    * Get details for a specific task
    * @param {string} taskId - ID of the task
@@ -75,26 +252,13 @@ class ClickUpService {
       
       console.log('[ClickUp] Request details:', { url, params });
 
-      const response = await this.retryRequest(
-        () => this.client.get(url, { params }),
-        3,
-        2000
-      );
+      const response = await this.get(url, { params });
 
       console.log('[ClickUp] Response status:', response.status);
       console.log('[ClickUp] Task name:', response.data.name);
       console.log('[ClickUp] Custom fields count:', response.data.custom_fields?.length || 0);
 
-      return {
-        ...response.data,
-        custom_fields: response.data.custom_fields || [],
-        parent: response.data.parent || null,
-        custom_type: response.data.custom_type ? {
-          id: response.data.custom_type.id,
-          name: response.data.custom_type.name,
-          color: response.data.custom_type.color
-        } : null
-      };
+      return this.normalizeTask(response.data);
 
     } catch (error) {
       console.error('[ClickUp] Error details:', {
@@ -107,6 +271,67 @@ class ClickUpService {
     }
   }
 
+  /**
+   * Get all comments on a task. ClickUp returns them newest first, 25 at a
+   * time, and pages by the date and ID of the oldest comment already seen.
+   * @param {string} taskId - ID of the task
+   * @returns {Promise<Array>} Top-level comments, newest first
+   */
+  async getTaskComments(taskId) {
+    try {
+      const allComments = [];
+      const seen = new Set();
+      let params = {};
+
+      while (true) {
+        const response = await this.get(`/task/${taskId}/comment`, { params });
+        const comments = (response.data.comments || []).filter(comment => !seen.has(comment.id));
+        comments.forEach(comment => seen.add(comment.id));
+        allComments.push(...comments);
+        if (comments.length === 0 || (response.data.comments || []).length < 25) break;
+
+        const oldest = comments[comments.length - 1];
+        params = { start: oldest.date, start_id: oldest.id };
+      }
+      return allComments;
+    } catch (error) {
+      console.error(`Error fetching comments for task ${taskId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the threaded replies to a comment
+   * @param {string} commentId - ID of the comment
+   * @returns {Promise<Array>} Replies
+   */
+  async getCommentReplies(commentId) {
+    try {
+      const response = await this.get(`/comment/${commentId}/reply`);
+      return response.data.comments || [];
+    } catch (error) {
+      console.error(`Error fetching replies to comment ${commentId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get how long a task has spent in each status. Requires the Total Time in
+   * Status ClickApp on the workspace.
+   * @param {string} taskId - ID of the task
+   * @returns {Promise<Object>} { current_status, status_history }; each status
+   *   has total_time.by_minute and total_time.since (when it was first entered)
+   */
+  async getTimeInStatus(taskId) {
+    try {
+      const response = await this.get(`/task/${taskId}/time_in_status`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching time in status of task ${taskId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get all tasks in a space with pagination
    * @param {string} spaceId - ID of the space
@@ -120,7 +345,7 @@ class ClickUpService {
       
       // Keep fetching pages until no more tasks are returned
       while (hasMore) {
-        const response = await this.client.get(`/space/${spaceId}/task`, {
+        const response = await this.get(`/space/${spaceId}/task`, {
           params: { 
             page,
             subtasks: true,
@@ -132,11 +357,6 @@ class ClickUpService {
         allTasks.push(...tasks);
         hasMore = tasks.length === 100; // ClickUp's default page size
         page++;
-
-        // Add a small delay to avoid rate limiting
-        if (hasMore) {
-          await new Promise(resolve => setTimeout(resolve, 200));
-        }
       }
       return allTasks;
     } catch (error) {
@@ -162,7 +382,7 @@ class ClickUpService {
    * @returns {Promise<Array>} List of folders
    */
   async getFolders(spaceId) {
-    const response = await this.client.get(`/space/${spaceId}/folder`);
+    const response = await this.get(`/space/${spaceId}/folder`);
     return response.data.folders;
   }
 
@@ -175,14 +395,39 @@ class ClickUpService {
   async getLists(spaceId, folderId = null) {
     // If folderId is provided, get lists in that folder
     if (folderId) {
-      const response = await this.client.get(`/folder/${folderId}/list`);
+      const response = await this.get(`/folder/${folderId}/list`);
       return response.data.lists;
     }
     // Otherwise get folderless lists in the space
-    const response = await this.client.get(`/space/${spaceId}/list`);
+    const response = await this.get(`/space/${spaceId}/list`);
     return response.data.lists;
   }
 
+  /**
+   * Get one page of tasks in a list
+   * @param {string} listId - ID of the list
+   * @param {number} page - Zero-based page number
+   * @param {Object} options - Query options
+   * @param {boolean} options.archived - Fetch archived instead of active tasks
+   * @returns {Promise<Object>} { tasks, lastPage } for the page
+   */
+  async getListTasksPage(listId, page = 0, { archived = false } = {}) {
+    const response = await this.get(`/list/${listId}/task`, {
+      params: {
+        subtasks: true,
+        archived,
+        include_closed: true,
+        page
+      }
+    });
+    const tasks = response.data.tasks || [];
+    return {
+      tasks,
+      // Older API responses omit last_page; a short page is the last one
+      lastPage: response.data.last_page ?? tasks.length < 100
+    };
+  }
+
   /**
    * Get all tasks in a list
    * @param {string} listId - ID of the list
@@ -190,24 +435,135 @@ class ClickUpService {
    */
   async getListTasks(listId) {
     try {
-      const response = await this.retryRequest(
-        () => this.client.get(`/list/${listId}/task`, {
-          params: {
-            subtasks: true,
-            archived: false,
-            include_closed: true,
-            page: 0
-          }
-        }),
-        3,
-        2000
-      );
-      return response.data.tasks;
+      const allTasks = [];
+      let page = 0;
+      let lastPage = false;
+
+      while (!lastPage) {
+        const result = await this.getListTasksPage(listId, page);
+        allTasks.push(...result.tasks);
+        lastPage = result.lastPage || result.tasks.length === 0;
+        page++;
+      }
+      return allTasks;
     } catch (error) {
-      if (error.response?.status === 502) {
-        console.error(`Temporary server error for list ${listId}, retrying...`);
-        return [];
+      console.error(`Error fetching tasks for list ${listId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one page of tasks across the workspace from the filtered team tasks endpoint
+   * @param {string} workspaceId - ID of the workspace
+   * @param {number} page - Zero-based page number
+   * @param {Object} options - Filter options
+   * @param {number} options.dateUpdatedGt - Only tasks updated after this time (ms)
+   * @returns {Promise<Object>} { tasks, lastPage } for the page
+   */
+  async getTeamTasksPage(workspaceId, page = 0, { dateUpdatedGt } = {}) {
+    const response = await this.get(`/team/${workspaceId}/task`, {
+      params: {
+        page,
+        order_by: 'updated',
+        reverse: true,
+        subtasks: true,
+        include_closed: true,
+        date_updated_gt: dateUpdatedGt
       }
+    });
+    const tasks = response.data.tasks || [];
+    return {
+      tasks,
+      lastPage: response.data.last_page ?? tasks.length < 100
+    };
+  }
+
+  /**
+   * Get time entries in a workspace. Without assignees ClickUp only returns
+   * the token owner's entries.
+   * @param {string} workspaceId - ID of the workspace
+   * @param {Object} filters - Entry filters
+   * @param {number} filters.startDate - Entries starting at or after this time (ms)
+   * @param {number} filters.endDate - Entries starting before this time (ms)
+   * @param {string} filters.taskId - Only entries on this task
+   * @param {Array<string>} filters.assignees - User IDs whose entries to include
+   * @returns {Promise<Array>} Time entries
+   */
+  async getTimeEntries(workspaceId, { startDate, endDate, taskId, assignees = [] } = {}) {
+    try {
+      const response = await this.get(`/team/${workspaceId}/time_entries`, {
+        params: {
+          start_date: startDate,
+          end_date: endDate,
+          task_id: taskId,
+          assignee: assignees.length > 0 ? assignees.join(',') : undefined
+        }
+      });
+      return response.data.data || [];
+    } catch (error) {
+      console.error(`Error fetching time entries for workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all webhooks registered for a workspace
+   * @param {string} workspaceId - ID of the workspace
+   * @returns {Promise<Array>} List of webhooks
+   */
+  async getWebhooks(workspaceId) {
+    try {
+      const response = await this.get(`/team/${workspaceId}/webhook`);
+      return response.data.webhooks || [];
+    } catch (error) {
+      console.error(`Error fetching webhooks for workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a webhook in a workspace
+   * @param {string} workspaceId - ID of the workspace
+   * @param {Object} webhook - Webhook definition
+   * @param {string} webhook.endpoint - URL ClickUp will deliver events to
+   * @param {Array<string>} webhook.events - Events to subscribe to
+   * @returns {Promise<Object>} Created webhook, including its secret
+   */
+  async createWebhook(workspaceId, { endpoint, events }) {
+    try {
+      const response = await this.post(`/team/${workspaceId}/webhook`, { endpoint, events });
+      return response.data.webhook;
+    } catch (error) {
+      console.error(`Error creating webhook for workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing webhook
+   * @param {string} webhookId - ID of the webhook
+   * @param {Object} changes - Fields to update (endpoint, events, status)
+   * @returns {Promise<Object>} Updated webhook
+   */
+  async updateWebhook(webhookId, changes) {
+    try {
+      const response = await this.put(`/webhook/${webhookId}`, changes);
+      return response.data.webhook;
+    } catch (error) {
+      console.error(`Error updating webhook ${webhookId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a webhook
+   * @param {string} webhookId - ID of the webhook
+   */
+  async deleteWebhook(webhookId) {
+    try {
+      await this.delete(`/webhook/${webhookId}`);
+    } catch (error) {
+      console.error(`Error deleting webhook ${webhookId}:`, error.message);
       throw error;
     }
   }
@@ -219,7 +575,7 @@ class ClickUpService {
    */
   async getCustomTaskTypes(workspaceId) {
     try {
-      const response = await this.client.get(`/workspace/${workspaceId}/task_type`);
+      const response = await this.get(`/workspace/${workspaceId}/task_type`);
       return response.data.task_types || [];
     } catch (error) {
       console.error('Error fetching custom task types:', error);
@@ -0,0 +1,149 @@
+// Required dependencies
+const db = require('../db');
+const clickup = require('./clickup');
+const { toDate } = require('./values');
+
+/**
+ * Service class that syncs task comments and their threaded replies into
+ * task_comment
+ */
+class CommentService {
+  /**
+   * Converts a comment from the ClickUp API to a task_comment row
+   * @param {Object} comment - Comment or reply
+   * @param {string} taskId - ID of the task it is on
+   * @param {string|null} parentId - ID of the comment a reply answers
+   * @returns {Object} Row values, with the comment's author and assignee
+   */
+  normalizeComment(comment, taskId, parentId = null) {
+    return {
+      id: String(comment.id),
+      task_id: taskId,
+      parent_id: parentId,
+      user: clickup.normalizeUser(comment.user),
+      assignee: clickup.normalizeUser(comment.assignee),
+      comment_text: comment.comment_text ?? null,
+      content: comment.comment || [],
+      resolved: !!comment.resolved,
+      reactions: comment.reactions || [],
+      reply_count: parseInt(comment.reply_count, 10) || 0,
+      date_created: toDate(comment.date)
+    };
+  }
+
+  /**
+   * Replaces a task's comments and replies with the ones ClickUp has.
+   * Comments no longer returned are marked deleted.
+   * @param {string} taskId - ID of the task, which must be stored
+   * @returns {Promise<Object>} { comments, replies } counts
+   */
+  async syncTaskComments(taskId) {
+    const comments = await clickup.getTaskComments(taskId);
+    const rows = [];
+    let replies = 0;
+
+    for (const comment of comments) {
+      rows.push(this.normalizeComment(comment, taskId));
+      if (parseInt(comment.reply_count, 10) > 0) {
+        const threadReplies = await clickup.getCommentReplies(comment.id);
+        rows.push(...threadReplies.map(reply => this.normalizeComment(reply, taskId, String(comment.id))));
+        replies += threadReplies.length;
+      }
+    }
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await db.ensureUsers(client, rows.flatMap(row => [row.user, row.assignee]).filter(Boolean));
+
+      // Replies follow the comment they answer, so parents are written first
+      for (const row of rows) {
+        await client.query(`
+          INSERT INTO task_comment (
+            id, task_id, parent_id, user_id, comment_text, content, resolved,
+            assignee_id, reactions, reply_count, date_created, deleted_at, updated_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NULL, CURRENT_TIMESTAMP)
+          ON CONFLICT (id) DO UPDATE SET
+            comment_text = EXCLUDED.comment_text,
+            content = EXCLUDED.content,
+            resolved = EXCLUDED.resolved,
+            assignee_id = EXCLUDED.assignee_id,
+            reactions = EXCLUDED.reactions,
+            reply_count = EXCLUDED.reply_count,
+            deleted_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        `, [
+          row.id,
+          row.task_id,
+          row.parent_id,
+          row.user ? String(row.user.id) : null,
+          row.comment_text,
+          JSON.stringify(row.content),
+          row.resolved,
+          row.assignee ? String(row.assignee.id) : null,
+          JSON.stringify(row.reactions),
+          row.reply_count,
+          row.date_created
+        ]);
+      }
+
+      await client.query(`
+        UPDATE task_comment
+        SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE task_id = $1 AND deleted_at IS NULL AND NOT (id = ANY($2))
+      `, [taskId, rows.map(row => row.id)]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log(`[Comments] Synced ${comments.length} comments and ${replies} replies for task ${taskId}`);
+    return { comments: comments.length, replies };
+  }
+
+  /**
+   * Gets a task's comments, oldest first, with their replies nested under
+   * them and authors resolved from clickup_user
+   * @param {string} taskId - ID of the task
+   * @param {Object} options - Query options
+   * @param {boolean} options.includeDeleted - Include comments removed in ClickUp
+   * @returns {Promise<Array>} Top-level comments, each with a replies array
+   */
+  async getTaskComments(taskId, { includeDeleted = false } = {}) {
+    const result = await db.query(`
+      SELECT
+        c.id, c.parent_id, c.comment_text, c.content, c.resolved, c.reactions,
+        c.reply_count, c.date_created, c.deleted_at,
+        CASE WHEN u.id IS NULL THEN NULL ELSE jsonb_build_object(
+          'id', u.id, 'username', u.username, 'email', u.email,
+          'initials', u.initials, 'profile_picture', u.profile_picture
+        ) END AS author,
+        CASE WHEN a.id IS NULL THEN NULL ELSE jsonb_build_object(
+          'id', a.id, 'username', a.username, 'email', a.email
+        ) END AS assignee
+      FROM task_comment c
+      LEFT JOIN clickup_user u ON u.id = c.user_id
+      LEFT JOIN clickup_user a ON a.id = c.assignee_id
+      WHERE c.task_id = $1
+      AND ($2 OR c.deleted_at IS NULL)
+      ORDER BY c.date_created, c.id
+    `, [taskId, includeDeleted]);
+
+    const threads = new Map();
+    for (const row of result.rows.filter(row => !row.parent_id)) {
+      threads.set(row.id, { ...row, replies: [] });
+    }
+    for (const row of result.rows.filter(row => row.parent_id)) {
+      // Replies to a deleted comment are left out with it
+      threads.get(row.parent_id)?.replies.push(row);
+    }
+    return [...threads.values()];
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new CommentService();
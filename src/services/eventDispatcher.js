@@ -0,0 +1,323 @@
+// Required dependencies
+const db = require('../db');
+const clickup = require('./clickup');
+const sync = require('./sync');
+const hierarchy = require('./hierarchy');
+const timeTracking = require('./timeTracking');
+const comments = require('./comments');
+const { toDate, toInteger } = require('./values');
+
+/**
+ * Gets who made the change a webhook history item describes, and when
+ * @param {Object} item - History item
+ * @returns {Object} { actor, historyItemId, changedAt }
+ */
+function getItemContext(item) {
+  return {
+    actor: item.user || null,
+    historyItemId: item.id ? String(item.id) : null,
+    changedAt: toDate(item.date)
+  };
+}
+
+/**
+ * Builds the field change context for a webhook payload. The actor, history
+ * item and change time are only set when the payload's history items agree
+ * on them; fieldContexts can attribute individual fields to the item that
+ * set them.
+ * @param {Object} payload - Parsed webhook body
+ * @param {Object} fieldContexts - Field name to { actor, historyItemId, changedAt }
+ * @returns {Object} { source, actor, historyItemId, changedAt, fieldContexts }
+ */
+function getChangeContext(payload, fieldContexts = {}) {
+  const items = payload.history_items || [];
+  const actorIds = new Set(items.map(item => (item.user?.id ? String(item.user.id) : null)));
+  return {
+    source: 'webhook',
+    actor: actorIds.size === 1 ? items[0].user || null : null,
+    historyItemId: items.length === 1 ? getItemContext(items[0]).historyItemId : null,
+    changedAt: items.length === 1 ? getItemContext(items[0]).changedAt : null,
+    fieldContexts
+  };
+}
+
+/**
+ * Gets the list, folder or space a location event is about
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Object} { kind, id }
+ */
+function getLocation(payload) {
+  if (payload.list_id) return { kind: 'list', id: payload.list_id };
+  if (payload.folder_id) return { kind: 'folder', id: payload.folder_id };
+  return { kind: 'space', id: payload.space_id };
+}
+
+/**
+ * Maps a history item's field to the core task columns it sets. Fields not
+ * listed here (custom fields, description, ...) need a full task sync.
+ */
+const HISTORY_FIELD_UPDATES = {
+  name: item => ({ name: item.after }),
+  status: item => ({ status: item.after?.status || null }),
+  priority: item => ({ priority: item.after || null }),
+  due_date: item => ({ due_date: toDate(item.after) }),
+  start_date: item => ({ start_date: toDate(item.after) }),
+  points: item => ({ points: toInteger(item.after) }),
+  time_estimate: item => ({ time_estimate: toInteger(item.after) }),
+  time_spent: item => ({ time_spent: toInteger(item.data?.total_time) }),
+  section_moved: item => ({
+    list: clickup.normalizeLocation('list', item.after),
+    folder: clickup.normalizeLocation('folder', item.after?.category),
+    space: clickup.normalizeLocation('space', item.after?.project)
+  })
+};
+
+/**
+ * Service class that routes each ClickUp webhook event to a dedicated handler
+ */
+class EventDispatcher {
+  constructor() {
+    this.handlers = {
+      taskCreated: this.handleTaskCreated,
+      taskUpdated: this.handleTaskUpdated,
+      taskDeleted: this.handleTaskDeleted,
+      taskMoved: this.handleTaskHistory,
+      taskStatusUpdated: this.handleTaskHistory,
+      taskPriorityUpdated: this.handleTaskHistory,
+      taskDueDateUpdated: this.handleTaskHistory,
+      taskTimeEstimateUpdated: this.handleTaskHistory,
+      taskTimeTrackedUpdated: this.handleTaskTimeTracked,
+      taskAssigneeUpdated: this.handleTaskAssigneeUpdated,
+      taskTagUpdated: this.handleTaskTagUpdated,
+      taskCommentPosted: this.handleTaskComment,
+      taskCommentUpdated: this.handleTaskComment,
+      listCreated: this.handleLocationCreated,
+      listUpdated: this.handleListUpdated,
+      listDeleted: this.handleLocationDeleted,
+      folderCreated: this.handleLocationCreated,
+      folderUpdated: this.handleFolderUpdated,
+      folderDeleted: this.handleLocationDeleted,
+      spaceCreated: this.handleLocationCreated,
+      spaceUpdated: this.handleSpaceUpdated,
+      spaceDeleted: this.handleLocationDeleted
+    };
+  }
+
+  /**
+   * Routes a webhook payload to the handler for its event
+   * @param {Object} payload - Parsed webhook body
+   * @returns {Promise<Object>} { event, handled, action } describing what was done
+   */
+  async dispatch(payload) {
+    const { event } = payload;
+    const handler = this.handlers[event];
+
+    if (!handler) {
+      console.log(`[Events] No handler for event ${event}, ignoring`);
+      return { event, handled: false, action: 'ignored' };
+    }
+
+    console.log(`[Events] Dispatching ${event}`, {
+      taskId: payload.task_id,
+      historyItems: payload.history_items?.length || 0
+    });
+
+    const action = await handler.call(this, payload);
+    return { event, handled: true, action };
+  }
+
+  /**
+   * Runs a full task sync (custom fields, parent, dependencies and links),
+   * surfacing failures as errors
+   * @param {Object} payload - Parsed webhook body
+   * @returns {Promise<string>} Action performed
+   */
+  async syncTask(payload) {
+    const taskId = payload.task_id;
+    const result = await sync.syncTask(taskId, getChangeContext(payload));
+    if (!result.success) {
+      throw result.cause || new Error(result.error || `Failed to sync task ${taskId}`);
+    }
+    return 'full_sync';
+  }
+
+  /**
+   * Applies the history items that map to core columns
+   * @param {Object} payload - Parsed webhook body
+   * @returns {Promise<Object>} { updated, unhandled } - whether the task was
+   *   updated and which items could not be applied
+   */
+  async applyHistoryItems(payload) {
+    const taskId = payload.task_id;
+    const items = payload.history_items || [];
+    const fields = {};
+    const fieldContexts = {};
+    const unhandled = [];
+
+    for (const item of items) {
+      const update = HISTORY_FIELD_UPDATES[item.field];
+      if (update) {
+        const values = update(item);
+        Object.assign(fields, values);
+        for (const column of Object.keys(values)) {
+          fieldContexts[column] = getItemContext(item);
+        }
+      } else {
+        unhandled.push(item);
+      }
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return { updated: false, unhandled };
+    }
+
+    const task = await db.updateTaskCoreFields(taskId, fields, getChangeContext(payload, fieldContexts));
+    if (task) {
+      console.log(`[Events] Applied targeted update to task ${taskId}:`, Object.keys(fields));
+    }
+    return { updated: !!task, unhandled };
+  }
+
+  async handleTaskCreated(payload) {
+    return this.syncTask(payload);
+  }
+
+  // Applies what it can from the history items and falls back to a full sync
+  // for anything else, such as custom field, dependency and linked task changes
+  async handleTaskUpdated(payload) {
+    const items = payload.history_items || [];
+    if (items.length === 0) {
+      return this.syncTask(payload);
+    }
+
+    const { updated, unhandled } = await this.applyHistoryItems(payload);
+    if (!updated || unhandled.length > 0) {
+      return this.syncTask(payload);
+    }
+    return 'targeted_update';
+  }
+
+  async handleTaskDeleted(payload) {
+    const deleted = await db.deleteTask(payload.task_id);
+    console.log(`[Events] Task ${payload.task_id} ${deleted ? 'deleted' : 'was not stored'}`);
+    return deleted ? 'deleted' : 'not_found';
+  }
+
+  // Status, priority, due date, time estimate, time tracked and move events
+  // carry the new value in their history items
+  async handleTaskHistory(payload) {
+    const { updated } = await this.applyHistoryItems(payload);
+    if (!updated) {
+      // Task isn't stored yet or the payload had nothing usable
+      return this.syncTask(payload);
+    }
+    return 'targeted_update';
+  }
+
+  // The event carries the new time_spent but not the entries, so the task's
+  // entries are read again
+  async handleTaskTimeTracked(payload) {
+    await this.handleTaskHistory(payload);
+    const count = await timeTracking.syncTaskEntries(payload.task_id);
+    console.log(`[Events] Task ${payload.task_id} has ${count} time entries`);
+    return 'time_entries_synced';
+  }
+
+  async handleTaskAssigneeUpdated(payload) {
+    const task = await db.getTaskById(payload.task_id);
+    if (!task) {
+      return this.syncTask(payload);
+    }
+
+    let assignees = Array.isArray(task.assignees)
+      ? task.assignees.map(user => clickup.normalizeUser(user)).filter(Boolean)
+      : [];
+    for (const item of payload.history_items || []) {
+      if (item.field === 'assignee_add' && item.after) {
+        assignees = assignees.filter(user => String(user.id) !== String(item.after.id));
+        assignees.push(clickup.normalizeUser(item.after));
+      } else if (item.field === 'assignee_rem' && item.before) {
+        assignees = assignees.filter(user => String(user.id) !== String(item.before.id));
+      }
+    }
+
+    await db.updateTaskCoreFields(payload.task_id, { assignees }, getChangeContext(payload));
+    return 'targeted_update';
+  }
+
+  // Tasks whose tags were never stored are fully synced, since applying only
+  // the event's changes would drop their other tags
+  async handleTaskTagUpdated(payload) {
+    const task = await db.getTaskById(payload.task_id);
+    if (!task || !Array.isArray(task.tags)) {
+      return this.syncTask(payload);
+    }
+
+    let tags = [...task.tags];
+    for (const item of payload.history_items || []) {
+      if (item.field === 'tag') {
+        const added = item.after || [];
+        tags = tags.filter(tag => !added.some(newTag => newTag.name === tag.name));
+        tags.push(...added);
+      } else if (item.field === 'tag_removed') {
+        const removed = item.before || [];
+        tags = tags.filter(tag => !removed.some(oldTag => oldTag.name === tag.name));
+      }
+    }
+
+    await db.updateTaskCoreFields(payload.task_id, { tags }, getChangeContext(payload));
+    return 'targeted_update';
+  }
+
+  // Re-reads the task's comments, which also picks up replies and edits the
+  // event doesn't describe in full
+  async handleTaskComment(payload) {
+    if (!await db.checkTaskExists(payload.task_id)) {
+      await this.syncTask(payload);
+    }
+
+    const counts = await comments.syncTaskComments(payload.task_id);
+    console.log(`[Events] ${payload.event} for task ${payload.task_id}:`, counts);
+    return 'comments_synced';
+  }
+
+  async handleListUpdated(payload) {
+    const list = await hierarchy.refresh('list', payload.list_id);
+    const count = await db.updateTaskLocation('list', payload.list_id, clickup.normalizeLocation('list', list));
+    console.log(`[Events] Updated list ${payload.list_id} on ${count} tasks`);
+    return 'location_updated';
+  }
+
+  async handleFolderUpdated(payload) {
+    const folder = await hierarchy.refresh('folder', payload.folder_id);
+    const count = await db.updateTaskLocation('folder', payload.folder_id, clickup.normalizeLocation('folder', folder));
+    console.log(`[Events] Updated folder ${payload.folder_id} on ${count} tasks`);
+    return 'location_updated';
+  }
+
+  async handleSpaceUpdated(payload) {
+    // Tasks only embed the space's ID, so only the hierarchy row changes
+    await hierarchy.refresh('space', payload.space_id);
+    console.log(`[Events] Updated space ${payload.space_id}`);
+    return 'location_updated';
+  }
+
+  async handleLocationCreated(payload) {
+    // New containers have no tasks yet; their tasks arrive as taskCreated
+    const { kind, id } = getLocation(payload);
+    await hierarchy.refresh(kind, id);
+    console.log(`[Events] ${payload.event}:`, id);
+    return 'location_saved';
+  }
+
+  async handleLocationDeleted(payload) {
+    // Tasks removed with the container are reported through taskDeleted
+    const { kind, id } = getLocation(payload);
+    const stored = await hierarchy.markDeleted(kind, id);
+    console.log(`[Events] ${payload.event}:`, id);
+    return stored ? 'location_deleted' : 'not_found';
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new EventDispatcher();
@@ -0,0 +1,513 @@
+// Required dependencies
+const db = require('../db');
+const config = require('../config/config');
+const { parseDate } = require('./values');
+
+/**
+ * Transform kinds a mapping can use to turn a raw value into the stored value
+ */
+const TRANSFORMS = {
+  string: (value) => {
+    if (Array.isArray(value) && value.every(item => typeof item !== 'object')) {
+      return value.join(', ');
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  },
+  number: (value) => {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return isNaN(number) ? null : number;
+  },
+  integer: (value) => {
+    const number = parseInt(value, 10);
+    return isNaN(number) ? null : number;
+  },
+  timestamp: (value) => parseDate(value),
+  boolean: (value) => value === true || value === 'true',
+  json: (value) => value
+};
+
+// Target data types a mapping can declare, with the column type used when
+// the mapping is promoted to its own clickup_task column
+const COLUMN_TYPES = {
+  text: 'TEXT',
+  decimal: 'NUMERIC',
+  integer: 'INTEGER',
+  timestamp: 'TIMESTAMP WITH TIME ZONE',
+  boolean: 'BOOLEAN',
+  jsonb: 'JSONB'
+};
+const DATA_TYPES = Object.keys(COLUMN_TYPES);
+
+// clickup_task columns owned by the sync itself, which promoted fields can't use
+const RESERVED_COLUMNS = [
+  'id', '_airbyte_raw_id', '_airbyte_extracted_at', 'name', 'text_content',
+  'description', 'status', 'date_created', 'date_updated', 'date_closed',
+  'creator', 'creator_id', 'assignees', 'checklists', 'tags', 'parent', 'parent_id', 'priority',
+  'due_date', 'start_date', 'points', 'time_estimate', 'time_spent',
+  'custom_fields', 'relationships', 'field_values', 'custom_type', 'task_type_id',
+  'task_type_name', 'list', 'folder', 'space', 'list_id', 'folder_id', 'space_id',
+  'url', 'updated_at',
+  // clickup_task_history bookkeeping
+  'history_id', 'task_id', 'valid_from', 'valid_to'
+];
+
+// Tables a promoted column is added to; the history keeps one value per version
+const PROMOTED_TABLES = ['clickup_task', 'clickup_task_history'];
+
+/**
+ * Builds the SQL expression converting a field_values entry's JSONB value to
+ * a promoted column's type. Values of the wrong JSON type become NULL.
+ * @param {string} dataType - Mapping data type
+ * @param {string} value - SQL expression for the JSONB value
+ * @returns {string} SQL expression
+ */
+function columnValueSql(dataType, value) {
+  switch (dataType) {
+    case 'jsonb':
+      return value;
+    case 'decimal':
+      return `CASE WHEN jsonb_typeof(${value}) = 'number' THEN (${value} #>> '{}')::numeric END`;
+    case 'integer':
+      return `CASE WHEN jsonb_typeof(${value}) = 'number' THEN (${value} #>> '{}')::numeric::integer END`;
+    case 'boolean':
+      return `CASE WHEN jsonb_typeof(${value}) = 'boolean' THEN (${value} #>> '{}')::boolean END`;
+    case 'timestamp':
+      return `CASE WHEN jsonb_typeof(${value}) = 'string' THEN (${value} #>> '{}')::timestamptz END`;
+    default:
+      return `${value} #>> '{}'`;
+  }
+}
+
+/**
+ * Creates an error carrying the HTTP status the API should respond with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with status
+ */
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Mappings for fields that were hardcoded before mappings lived in the
+ * database. They are saved against a field's ClickUp ID the first time a
+ * field with one of these names is synced.
+ */
+const DEFAULT_MAPPINGS = {
+  'Status Updates': { column_name: 'status_updates', data_type: 'text', transform: 'string' },
+  'Client': { column_name: 'client', data_type: 'text', transform: 'string' },
+  'Start Job!': { column_name: 'start_job', data_type: 'timestamp', transform: 'timestamp' },
+  'Est. Revenue': { column_name: 'est_revenue', data_type: 'decimal', transform: 'number' },
+  'Est. Cost': { column_name: 'est_cost', data_type: 'decimal', transform: 'number' },
+  'Reason for Closed': { column_name: 'reason_for_closed', data_type: 'text', transform: 'string' },
+  'Job Name': { column_name: 'job_name', data_type: 'text', transform: 'string' },
+  'Milestone Date': { column_name: 'milestone_date', data_type: 'timestamp', transform: 'timestamp' },
+  'Hours per Day': { column_name: 'hours_per_day', data_type: 'integer', transform: 'integer' },
+  // Additional fields stored in field_values JSONB
+  'Expected Revenue': { data_type: 'decimal', transform: 'number' },
+  'Current Fee': { data_type: 'decimal', transform: 'number' },
+  'Fee': { data_type: 'decimal', transform: 'number' },
+  'Time Left': { data_type: 'text', transform: 'string' },
+  'Estimated Fee': { data_type: 'decimal', transform: 'number' },
+  'Update Email': { data_type: 'text', transform: 'string' },
+  'Job Budget': { data_type: 'decimal', transform: 'number' }
+};
+
+// Column names must be safe to use as SQL identifiers
+const COLUMN_NAME_PATTERN = /^[a-z_][a-z0-9_]{0,62}$/;
+
+/**
+ * Service class for custom field mappings stored in custom_field_mappings,
+ * keyed by ClickUp field ID and cached for the sync path
+ */
+class FieldMappingService {
+  constructor() {
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Loads all mappings, using the cache while it is fresh
+   * @param {boolean} force - Reload even if the cache is fresh
+   * @returns {Promise<Map>} ClickUp field ID to mapping
+   */
+  async load(force = false) {
+    const fresh = Date.now() - this.loadedAt < config.fieldMappings.cacheTtl;
+    if (this.cache && fresh && !force) {
+      return this.cache;
+    }
+
+    const result = await db.query('SELECT * FROM custom_field_mappings');
+    this.cache = new Map(result.rows.map(mapping => [mapping.clickup_field_id, mapping]));
+    this.loadedAt = Date.now();
+    return this.cache;
+  }
+
+  /**
+   * Drops the cache so the next lookup reloads from the database
+   */
+  invalidate() {
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Finds the mapping for a ClickUp custom field
+   * @param {Object} field - Custom field from a ClickUp task
+   * @param {string} cleanName - Field name with emoji removed
+   * @returns {Promise<Object|null>} Active mapping or null if the field isn't mapped
+   */
+  async resolve(field, cleanName) {
+    const mappings = await this.load();
+    const mapping = mappings.get(field.id);
+    if (mapping) {
+      return mapping.is_mapped ? mapping : null;
+    }
+
+    // Adopt a legacy name-based mapping for this field's ID
+    const defaults = DEFAULT_MAPPINGS[cleanName];
+    if (!defaults) return null;
+
+    const result = await db.query(`
+      INSERT INTO custom_field_mappings (field_name, clickup_field_id, column_name, data_type, transform, is_mapped)
+      VALUES ($1, $2, $3, $4, $5, true)
+      ON CONFLICT (clickup_field_id) DO UPDATE SET field_name = EXCLUDED.field_name
+      RETURNING *
+    `, [cleanName, field.id, defaults.column_name || null, defaults.data_type, defaults.transform]);
+
+    console.log(`[Mappings] Saved default mapping for "${cleanName}" (${field.id})`);
+    mappings.set(field.id, result.rows[0]);
+    return result.rows[0].is_mapped ? result.rows[0] : null;
+  }
+
+  /**
+   * Applies a mapping's transform to a raw field value
+   * @param {Object} mapping - Mapping row
+   * @param {any} value - Raw value from ClickUp
+   * @returns {any} Transformed value or null if it can't be converted
+   */
+  transform(mapping, value) {
+    const transform = TRANSFORMS[mapping.transform] || TRANSFORMS.string;
+    return transform(value);
+  }
+
+  /**
+   * Gets the key a mapped field is stored under in field_values
+   * @param {Object} mapping - Mapping row
+   * @param {string} cleanName - Field name with emoji removed
+   * @returns {string} Storage key
+   */
+  getStorageKey(mapping, cleanName) {
+    return mapping.column_name || cleanName;
+  }
+
+  /**
+   * Gets the key a field is stored under in field_values, by field name
+   * @param {string} fieldName - Field name with emoji removed
+   * @returns {Promise<string>} Storage key (the name itself when the field
+   *   has no active mapping)
+   */
+  async getStorageKeyByName(fieldName) {
+    const mappings = await this.load();
+    const mapping = [...mappings.values()].find(item => item.is_mapped && item.field_name === fieldName);
+    return mapping ? this.getStorageKey(mapping, fieldName) : fieldName;
+  }
+
+  /**
+   * Converts a stored field value to the value written to a promoted column,
+   * matching the conversion used when the column is backfilled
+   * @param {Object} mapping - Mapping row
+   * @param {any} value - Value from field_values
+   * @returns {any} Column value or null
+   */
+  toColumnValue(mapping, value) {
+    if (value === null || value === undefined) return null;
+
+    switch (mapping.data_type) {
+      case 'jsonb':
+        return JSON.stringify(value);
+      case 'decimal':
+        return typeof value === 'number' ? value : null;
+      case 'integer':
+        return typeof value === 'number' ? Math.round(value) : null;
+      case 'boolean':
+        return typeof value === 'boolean' ? value : null;
+      case 'timestamp':
+        return value instanceof Date || typeof value === 'string' ? value : null;
+      default:
+        return typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+    }
+  }
+
+  /**
+   * Gets the values to write to promoted columns for a task. Promoted fields
+   * the task has no value for are cleared.
+   * @param {Object} fieldValues - Task's field_values, as built by the sync
+   * @returns {Promise<Object>} Column name to value
+   */
+  async getColumnValues(fieldValues) {
+    const mappings = await this.load();
+    const entries = Object.values(fieldValues || {});
+    const columns = {};
+
+    for (const mapping of mappings.values()) {
+      if (!mapping.promoted || !mapping.is_mapped || !mapping.column_name) continue;
+      const entry = entries.find(item => item.field_id === mapping.clickup_field_id);
+      columns[mapping.column_name] = this.toColumnValue(mapping, entry ? entry.value : null);
+    }
+
+    return columns;
+  }
+
+  /**
+   * Checks that a mapping can be promoted to its own column
+   * @param {Object} mapping - Mapping fields
+   * @param {Object} client - Database client (defaults to the pool)
+   * @throws {Error} With status 400 or 409 when it can't
+   */
+  async checkPromotable(mapping, client = db) {
+    if (!mapping.column_name) {
+      throw httpError('column_name is required to promote a mapping', 400);
+    }
+    if (RESERVED_COLUMNS.includes(mapping.column_name)) {
+      throw httpError(`column_name ${mapping.column_name} is a core clickup_task column`, 400);
+    }
+
+    const taken = await client.query(`
+      SELECT field_name FROM custom_field_mappings
+      WHERE column_name = $1 AND promoted AND clickup_field_id <> $2
+    `, [mapping.column_name, mapping.clickup_field_id]);
+    if (taken.rowCount > 0) {
+      throw httpError(`column ${mapping.column_name} is already used by "${taken.rows[0].field_name}"`, 409);
+    }
+  }
+
+  /**
+   * Promotes a mapping to its own clickup_task column: adds (or retypes) and
+   * indexes the column, fills it from field_values and marks the mapping so
+   * every sync keeps it up to date. The column is added to
+   * clickup_task_history too and filled for past versions.
+   * @param {number} id - Mapping ID
+   * @returns {Promise<Object|null>} Promoted mapping or null if not found
+   */
+  async promote(id) {
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query('SELECT * FROM custom_field_mappings WHERE id = $1 FOR UPDATE', [id]);
+      const mapping = result.rows[0];
+      if (!mapping) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      await this.checkPromotable(mapping, client);
+
+      const column = `"${mapping.column_name}"`;
+      const columnType = COLUMN_TYPES[mapping.data_type] || COLUMN_TYPES.text;
+      const indexMethod = mapping.data_type === 'jsonb' ? 'gin' : 'btree';
+
+      // The versions view pins column types, so it is rebuilt around the change
+      await client.query('DROP VIEW IF EXISTS clickup_task_versions');
+
+      let filled = 0;
+      for (const table of PROMOTED_TABLES) {
+        const existing = await client.query(`
+          SELECT data_type FROM information_schema.columns
+          WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2
+        `, [table, mapping.column_name]);
+
+        if (existing.rowCount === 0) {
+          await client.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${columnType}`);
+        } else if (existing.rows[0].data_type !== columnType.toLowerCase()) {
+          // Values are rebuilt from field_values below, so old ones needn't convert
+          await client.query(`ALTER TABLE ${table} ALTER COLUMN ${column} TYPE ${columnType} USING NULL`);
+        }
+
+        if (table === 'clickup_task') {
+          await client.query(`
+            CREATE INDEX IF NOT EXISTS "idx_task_promoted_${mapping.column_name}"
+            ON clickup_task USING ${indexMethod} (${column})
+          `);
+        }
+
+        // Entries are found by field ID so values stored under an older key are kept
+        const backfill = await client.query(`
+          UPDATE ${table}
+          SET ${column} = (
+            SELECT ${columnValueSql(mapping.data_type, "entry.value->'value'")}
+            FROM jsonb_each(field_values) AS entry
+            WHERE entry.value->>'field_id' = $1
+            LIMIT 1
+          )
+        `, [mapping.clickup_field_id]);
+        if (table === 'clickup_task') {
+          filled = backfill.rowCount;
+        }
+      }
+
+      await db.refreshTaskHistoryView(client);
+
+      const updated = await client.query(`
+        UPDATE custom_field_mappings
+        SET promoted = true, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [id]);
+
+      await client.query('COMMIT');
+      this.invalidate();
+      console.log(`[Mappings] Promoted "${mapping.field_name}" to column ${mapping.column_name} (${columnType}), filled ${filled} tasks`);
+      return updated.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Validates mapping input
+   * @param {Object} input - Mapping fields
+   * @throws {Error} With status 400 when invalid
+   */
+  validate(input) {
+    const errors = [];
+    if (input.column_name && !COLUMN_NAME_PATTERN.test(input.column_name)) {
+      errors.push('column_name must be lower-case letters, digits and underscores');
+    }
+    if (input.data_type && !DATA_TYPES.includes(input.data_type)) {
+      errors.push(`data_type must be one of ${DATA_TYPES.join(', ')}`);
+    }
+    if (input.transform && !TRANSFORMS[input.transform]) {
+      errors.push(`transform must be one of ${Object.keys(TRANSFORMS).join(', ')}`);
+    }
+
+    if (input.promoted !== undefined && typeof input.promoted !== 'boolean') {
+      errors.push('promoted must be a boolean');
+    }
+
+    if (errors.length > 0) {
+      throw httpError(errors.join('; '), 400);
+    }
+  }
+
+  /**
+   * Lists all mappings
+   * @returns {Promise<Array>} Mappings ordered by field name
+   */
+  async list() {
+    const result = await db.query('SELECT * FROM custom_field_mappings ORDER BY field_name ASC');
+    return result.rows;
+  }
+
+  /**
+   * Gets a mapping by ID
+   * @param {number} id - Mapping ID
+   * @returns {Promise<Object|null>} Mapping or null if not found
+   */
+  async get(id) {
+    const result = await db.query('SELECT * FROM custom_field_mappings WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Creates a mapping
+   * @param {Object} input - Mapping fields
+   * @returns {Promise<Object>} Created mapping
+   */
+  async create(input) {
+    if (!input.clickup_field_id || !input.field_name) {
+      throw httpError('clickup_field_id and field_name are required', 400);
+    }
+    this.validate(input);
+    if (input.promoted === true) {
+      await this.checkPromotable(input);
+    }
+
+    const result = await db.query(`
+      INSERT INTO custom_field_mappings (field_name, clickup_field_id, column_name, data_type, transform, is_mapped)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [
+      input.field_name,
+      input.clickup_field_id,
+      input.column_name || null,
+      input.data_type || 'text',
+      input.transform || 'string',
+      input.is_mapped !== false
+    ]);
+
+    this.invalidate();
+    return input.promoted === true ? this.promote(result.rows[0].id) : result.rows[0];
+  }
+
+  /**
+   * Updates a mapping
+   * @param {number} id - Mapping ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object|null>} Updated mapping or null if not found
+   */
+  async update(id, changes) {
+    this.validate(changes);
+
+    const current = await this.get(id);
+    if (!current) return null;
+
+    // Promoted columns are re-applied when their name or type changes
+    const changesColumn = ['column_name', 'data_type'].some(key => (
+      Object.prototype.hasOwnProperty.call(changes, key) && changes[key] !== current[key]
+    ));
+    const promote = changes.promoted === true || (current.promoted && changes.promoted !== false && changesColumn);
+    if (promote) {
+      await this.checkPromotable({ ...current, ...changes });
+    }
+
+    const result = await db.query(`
+      UPDATE custom_field_mappings
+      SET field_name = COALESCE($2, field_name),
+          column_name = CASE WHEN $3::boolean THEN $4 ELSE column_name END,
+          data_type = COALESCE($5, data_type),
+          transform = COALESCE($6, transform),
+          is_mapped = COALESCE($7, is_mapped),
+          promoted = promoted AND NOT $8::boolean,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [
+      id,
+      changes.field_name || null,
+      // column_name can be cleared by sending null
+      Object.prototype.hasOwnProperty.call(changes, 'column_name'),
+      changes.column_name || null,
+      changes.data_type || null,
+      changes.transform || null,
+      typeof changes.is_mapped === 'boolean' ? changes.is_mapped : null,
+      // Demoting stops updates but leaves the column and its data in place
+      changes.promoted === false
+    ]);
+
+    this.invalidate();
+    if (promote && result.rows[0]) {
+      return this.promote(id);
+    }
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Deletes a mapping
+   * @param {number} id - Mapping ID
+   * @returns {Promise<boolean>} Whether a mapping was deleted
+   */
+  async remove(id) {
+    const result = await db.query('DELETE FROM custom_field_mappings WHERE id = $1', [id]);
+    this.invalidate();
+    return result.rowCount > 0;
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new FieldMappingService();
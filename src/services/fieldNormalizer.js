@@ -0,0 +1,110 @@
+// Required dependencies
+const { toDate, parseNumber } = require('./values');
+
+/**
+ * Finds a drop down or label option by ID, or by orderindex for drop downs
+ * that still report the option's position
+ * @param {Object} field - Custom field
+ * @param {any} value - Option ID or orderindex
+ * @returns {Object|null} Matching option
+ */
+function findOption(field, value) {
+  const options = field.type_config?.options || [];
+  return options.find(option => option.id === value)
+    || options.find(option => option.orderindex !== undefined && String(option.orderindex) === String(value))
+    || null;
+}
+
+/**
+ * Normalizers by ClickUp field type. Each returns the typed value for a
+ * field whose raw value is set.
+ */
+const NORMALIZERS = {
+  drop_down: (field) => {
+    const option = findOption(field, field.value);
+    return option ? option.name : null;
+  },
+
+  labels: (field) => {
+    const ids = Array.isArray(field.value) ? field.value : [field.value];
+    return ids
+      .map(id => findOption(field, id))
+      .filter(Boolean)
+      .map(option => option.label || option.name);
+  },
+
+  users: (field) => (Array.isArray(field.value) ? field.value : [field.value])
+    .filter(Boolean)
+    .map(user => ({ id: user.id, username: user.username, email: user.email })),
+
+  tasks: (field) => (Array.isArray(field.value) ? field.value : [field.value])
+    .filter(Boolean)
+    .map(task => (typeof task === 'object' ? { id: task.id, name: task.name } : { id: task, name: null })),
+
+  currency: (field) => parseNumber(field.value),
+  number: (field) => parseNumber(field.value),
+
+  date: (field) => toDate(field.value)?.toISOString() ?? null,
+
+  checkbox: (field) => field.value === true || field.value === 'true',
+
+  url: (field) => String(field.value),
+  email: (field) => String(field.value),
+  phone: (field) => String(field.value),
+
+  location: (field) => ({
+    lat: field.value.location?.lat ?? null,
+    lng: field.value.location?.lng ?? null,
+    formatted_address: field.value.formatted_address || null
+  }),
+
+  emoji: (field) => parseNumber(field.value),
+  rating: (field) => parseNumber(field.value),
+
+  manual_progress: (field) => parseNumber(field.value?.percent_completed ?? field.value),
+  automatic_progress: (field) => parseNumber(field.value?.percent_completed ?? field.value),
+  progress: (field) => parseNumber(field.value?.percent_completed ?? field.value),
+
+  // Formulas can produce numbers or text
+  formula: (field) => parseNumber(field.value) ?? String(field.value),
+
+  short_text: (field) => String(field.value),
+  text: (field) => String(field.value)
+};
+
+/**
+ * Normalizes a ClickUp custom field into a consistent shape
+ * @param {Object} field - Custom field from a ClickUp task
+ * @returns {Object|null} { type, value, raw } plus type-specific details, or
+ *   null when the field has no value
+ */
+function normalize(field) {
+  if (!field || field.value === null || field.value === undefined) return null;
+
+  const normalizer = NORMALIZERS[field.type];
+  let value;
+  try {
+    // Unknown types are kept as they come
+    value = normalizer ? normalizer(field) : field.value;
+  } catch (error) {
+    console.error(`Error normalizing ${field.type} field ${field.name}:`, error.message);
+    value = null;
+  }
+
+  const normalized = { type: field.type, value, raw: field.value };
+
+  if (field.type === 'date') {
+    // Dates without a time are stored at midnight and shouldn't be read as times
+    normalized.date_time = !!(field.value_options?.time ?? field.type_config?.date_time ?? false);
+  }
+  if (field.type === 'currency') {
+    normalized.currency = field.type_config?.currency_type || null;
+  }
+  if (field.type === 'drop_down') {
+    normalized.option_id = findOption(field, field.value)?.id || null;
+  }
+
+  return normalized;
+}
+
+module.exports = { normalize, NORMALIZERS };
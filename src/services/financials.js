@@ -0,0 +1,303 @@
+// Required dependencies
+const db = require('../db');
+const fieldMappings = require('./fieldMappings');
+const { toNumber } = require('./values');
+
+// Money fields by the name they're reported under
+const MONEY_FIELDS = {
+  est_revenue: 'Est. Revenue',
+  est_cost: 'Est. Cost',
+  expected_revenue: 'Expected Revenue',
+  current_fee: 'Current Fee',
+  estimated_fee: 'Estimated Fee',
+  job_budget: 'Job Budget'
+};
+
+// Date fields jobs can be filtered by
+const PERIOD_FIELDS = {
+  start_job: 'Start Job!',
+  milestone_date: 'Milestone Date'
+};
+
+// Ways totals can be grouped
+const TOTAL_GROUPS = ['client', 'task_type'];
+
+// Rounds an amount to cents
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+// Ratio with three decimals, or null when it can't be computed
+function ratio(numerator, denominator) {
+  return numerator === null || !denominator ? null : Math.round(numerator / denominator * 1000) / 1000;
+}
+
+/**
+ * Adds up money values, ignoring missing ones
+ * @param {Array<Object>} values - Money values keyed like MONEY_FIELDS
+ * @returns {Object} Totals; null where no task had a value
+ */
+function sumMoney(values) {
+  return Object.fromEntries(Object.keys(MONEY_FIELDS).map(key => {
+    const present = values.map(value => value[key]).filter(value => value !== null);
+    return [key, present.length > 0 ? round(present.reduce((sum, value) => sum + value, 0)) : null];
+  }));
+}
+
+/**
+ * Adds margins to money totals: Est. Revenue and Expected Revenue less
+ * Est. Cost, when both sides are known
+ * @param {Object} money - Money values keyed like MONEY_FIELDS
+ * @returns {Object} The values with margin, margin_pct and expected_margin
+ */
+function withMargins(money) {
+  const margin = money.est_revenue !== null && money.est_cost !== null
+    ? round(money.est_revenue - money.est_cost)
+    : null;
+  const expectedMargin = money.expected_revenue !== null && money.est_cost !== null
+    ? round(money.expected_revenue - money.est_cost)
+    : null;
+  return {
+    ...money,
+    margin,
+    margin_pct: ratio(margin, money.est_revenue),
+    expected_margin: expectedMargin
+  };
+}
+
+/**
+ * Service class for reporting on the money fields of jobs (top-level tasks)
+ * and their subtasks
+ */
+class FinancialsService {
+  /**
+   * Loads every task of the jobs matching the filters with its money fields,
+   * Client and period dates. Jobs are filtered by their own period date.
+   * @param {Object} filters - Job filters
+   * @param {string} filters.periodField - 'start_job' (default) or 'milestone_date'
+   * @param {Date} filters.start - Only jobs dated on or after this
+   * @param {Date} filters.end - Only jobs dated before this
+   * @param {string} filters.listId - Only jobs in this list
+   * @param {string} filters.spaceId - Only jobs in this space
+   * @param {string} filters.client - Only jobs for this Client (case-insensitive)
+   * @param {boolean} filters.openOnly - Skip closed jobs
+   * @returns {Promise<Array>} Tasks with job_id and depth (0 for the job)
+   */
+  async loadJobTasks(filters = {}) {
+    const {
+      periodField = 'start_job', start = null, end = null,
+      listId = null, spaceId = null, client = null, openOnly = false
+    } = filters;
+
+    if (!PERIOD_FIELDS[periodField]) {
+      const error = new Error(`period_field must be one of ${Object.keys(PERIOD_FIELDS).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const [moneyKeys, clientKey, ...periodKeys] = await Promise.all([
+      Promise.all(Object.values(MONEY_FIELDS).map(name => fieldMappings.getStorageKeyByName(name))),
+      fieldMappings.getStorageKeyByName('Client'),
+      ...Object.values(PERIOD_FIELDS).map(name => fieldMappings.getStorageKeyByName(name))
+    ]);
+    const periodKey = periodKeys[Object.keys(PERIOD_FIELDS).indexOf(periodField)];
+
+    const result = await db.query(`
+      WITH RECURSIVE jobs AS (
+        SELECT t.id, t.field_values->$2::text->>'value' AS period_value
+        FROM clickup_task t
+        WHERE t.parent_id IS NULL
+        AND ($3::text IS NULL OR t.list_id = $3)
+        AND ($4::text IS NULL OR t.space_id = $4)
+        AND ($5::text IS NULL OR lower(t.field_values->$6::text->>'value') = lower($5))
+        AND (NOT $7 OR t.date_closed IS NULL)
+      ),
+      dated_jobs AS (
+        SELECT id,
+          CASE WHEN period_value ~ '^\\d{4}-\\d{2}-\\d{2}' THEN period_value::timestamptz END AS period_date
+        FROM jobs
+      ),
+      tree AS (
+        SELECT j.id, j.id AS job_id, 0 AS depth
+        FROM dated_jobs j
+        WHERE ($8::timestamptz IS NULL OR j.period_date >= $8)
+        AND ($9::timestamptz IS NULL OR j.period_date < $9)
+        UNION ALL
+        SELECT c.id, tr.job_id, tr.depth + 1
+        FROM tree tr
+        JOIN clickup_task c ON c.parent_id = tr.id
+        WHERE tr.depth < 50
+      )
+      SELECT
+        tr.job_id,
+        tr.depth,
+        t.id,
+        t.name,
+        t.status,
+        t.parent_id,
+        t.date_closed,
+        COALESCE(ty.name, t.task_type_name) AS task_type,
+        t.field_values->$6::text->>'value' AS client,
+        (SELECT jsonb_object_agg(key, t.field_values->key->'value') FROM unnest($1::text[]) AS key) AS money,
+        (SELECT jsonb_object_agg(key, t.field_values->key->>'value') FROM unnest($10::text[]) AS key) AS dates
+      FROM tree tr
+      JOIN clickup_task t ON t.id = tr.id
+      LEFT JOIN task_types ty ON ty.id = t.task_type_id
+      ORDER BY tr.job_id, tr.depth, t.id
+    `, [moneyKeys, periodKey, listId, spaceId, client, clientKey, openOnly, start, end, periodKeys]);
+
+    return result.rows.map(row => ({
+      job_id: row.job_id,
+      depth: row.depth,
+      id: row.id,
+      name: row.name,
+      status: row.status,
+      parent_id: row.parent_id,
+      date_closed: row.date_closed,
+      task_type: row.task_type,
+      client: row.client,
+      money: Object.fromEntries(Object.keys(MONEY_FIELDS).map((key, i) => [key, toNumber(row.money?.[moneyKeys[i]])])),
+      dates: Object.fromEntries(Object.keys(PERIOD_FIELDS).map((key, i) => [key, row.dates?.[periodKeys[i]] ?? null]))
+    }));
+  }
+
+  /**
+   * Groups loaded tasks by job, linking each task to its subtasks and adding
+   * up the money fields of every subtree
+   * @param {Array<Object>} tasks - Tasks from loadJobTasks
+   * @returns {Array<Object>} Job nodes, each with subtasks and a rollup
+   */
+  buildJobTrees(tasks) {
+    const nodes = new Map(tasks.map(task => [task.id, { ...task, subtasks: [] }]));
+    const jobs = [];
+    for (const node of nodes.values()) {
+      if (node.depth === 0) {
+        jobs.push(node);
+      } else {
+        nodes.get(node.parent_id)?.subtasks.push(node);
+      }
+    }
+
+    const rollup = node => {
+      const subtrees = node.subtasks.map(rollup);
+      node.task_count = 1 + node.subtasks.reduce((count, subtask) => count + subtask.task_count, 0);
+      node.rollup = sumMoney([node.money, ...subtrees]);
+      return node.rollup;
+    };
+    jobs.forEach(rollup);
+    return jobs;
+  }
+
+  /**
+   * Reports the margin of each job, from the job's own fields and from the
+   * totals of its whole subtask tree (the job included)
+   * @param {Object} filters - Job filters (see loadJobTasks)
+   * @returns {Promise<Array>} Jobs, highest rolled-up margin first
+   */
+  async getJobMargins(filters = {}) {
+    const jobs = this.buildJobTrees(await this.loadJobTasks(filters));
+    return jobs
+      .map(job => ({
+        job_id: job.id,
+        name: job.name,
+        status: job.status,
+        client: job.client,
+        task_type: job.task_type,
+        ...job.dates,
+        task_count: job.task_count,
+        own: withMargins(job.money),
+        rollup: withMargins(job.rollup)
+      }))
+      .sort((a, b) => (b.rollup.margin ?? -Infinity) - (a.rollup.margin ?? -Infinity) || (a.name || '').localeCompare(b.name || ''));
+  }
+
+  /**
+   * Totals the money fields of every task in the matching jobs by Client
+   * (the job's, or the task's own) or by task type. Each task counts once
+   * with its own values, so nothing is counted twice.
+   * @param {Object} options - Report options; job filters as in loadJobTasks
+   * @param {string} options.groupBy - 'client' (default) or 'task_type'
+   * @returns {Promise<Array>} One row per group, highest Est. Revenue first
+   */
+  async getTotals({ groupBy = 'client', ...filters } = {}) {
+    if (!TOTAL_GROUPS.includes(groupBy)) {
+      const error = new Error(`group_by must be one of ${TOTAL_GROUPS.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const tasks = await this.loadJobTasks(filters);
+    const jobClients = new Map(tasks.filter(task => task.depth === 0).map(task => [task.job_id, task.client]));
+
+    const groups = new Map();
+    for (const task of tasks) {
+      const key = groupBy === 'client'
+        ? jobClients.get(task.job_id) || task.client || null
+        : task.task_type || null;
+      if (!groups.has(key)) {
+        groups.set(key, { key, jobs: new Set(), tasks: 0, values: [] });
+      }
+      const group = groups.get(key);
+      group.jobs.add(task.job_id);
+      group.tasks++;
+      group.values.push(task.money);
+    }
+
+    return [...groups.values()]
+      .map(group => ({
+        [groupBy]: group.key,
+        jobs: group.jobs.size,
+        tasks: group.tasks,
+        ...withMargins(sumMoney(group.values))
+      }))
+      .sort((a, b) => (b.est_revenue ?? 0) - (a.est_revenue ?? 0));
+  }
+
+  /**
+   * Compares each job's budget with its cost. The budget is the job's Job
+   * Budget (or its subtasks' budgets added up when the job has none) and the
+   * cost is Est. Cost rolled up over the whole tree; each direct subtask is
+   * broken down the same way.
+   * @param {Object} filters - Job filters (see loadJobTasks)
+   * @param {boolean} filters.overBudgetOnly - Only jobs whose cost exceeds the budget
+   * @returns {Promise<Array>} Jobs, most over budget first
+   */
+  async getBudgetVariance({ overBudgetOnly = false, ...filters } = {}) {
+    const jobs = this.buildJobTrees(await this.loadJobTasks(filters));
+
+    const variance = node => {
+      const budget = node.money.job_budget ?? node.rollup.job_budget;
+      const cost = node.rollup.est_cost;
+      const difference = budget !== null && cost !== null ? round(budget - cost) : null;
+      return {
+        budget,
+        cost,
+        variance: difference,
+        variance_pct: ratio(difference, budget),
+        over_budget: difference === null ? null : difference < 0
+      };
+    };
+
+    return jobs
+      .map(job => ({
+        job_id: job.id,
+        name: job.name,
+        status: job.status,
+        client: job.client,
+        ...job.dates,
+        ...variance(job),
+        subtasks: job.subtasks.map(subtask => ({
+          id: subtask.id,
+          name: subtask.name,
+          status: subtask.status,
+          task_count: subtask.task_count,
+          ...variance(subtask)
+        }))
+      }))
+      .filter(job => !overBudgetOnly || job.over_budget)
+      .sort((a, b) => (a.variance ?? Infinity) - (b.variance ?? Infinity));
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new FinancialsService();
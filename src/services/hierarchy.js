@@ -0,0 +1,195 @@
+// Required dependencies
+const db = require('../db');
+const clickup = require('./clickup');
+const config = require('../config/config');
+
+// Hierarchy tables by location kind
+const TABLES = {
+  space: 'clickup_space',
+  folder: 'clickup_folder',
+  list: 'clickup_list'
+};
+
+/**
+ * Service class that keeps the clickup_space, clickup_folder and clickup_list
+ * tables in step with the workspace
+ */
+class HierarchyService {
+  /**
+   * Saves a space
+   * @param {Object} space - Space from the ClickUp API
+   * @returns {Promise<Object>} Saved row
+   */
+  async saveSpace(space) {
+    const result = await db.query(`
+      INSERT INTO clickup_space (id, workspace_id, name, private, archived, statuses, deleted_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NULL, CURRENT_TIMESTAMP)
+      ON CONFLICT (id) DO UPDATE SET
+        workspace_id = COALESCE(EXCLUDED.workspace_id, clickup_space.workspace_id),
+        name = EXCLUDED.name,
+        private = EXCLUDED.private,
+        archived = EXCLUDED.archived,
+        statuses = EXCLUDED.statuses,
+        deleted_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      String(space.id),
+      config.clickup.workspaceId || null,
+      space.name,
+      space.private ?? null,
+      !!space.archived,
+      JSON.stringify(space.statuses || [])
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Saves a folder, making sure its space exists
+   * @param {Object} folder - Folder from the ClickUp API
+   * @param {string} spaceId - ID of the folder's space, when the folder doesn't carry it
+   * @returns {Promise<Object>} Saved row
+   */
+  async saveFolder(folder, spaceId = null) {
+    const space = folder.space || (spaceId ? { id: spaceId } : null);
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await db.ensureLocations(client, { space });
+
+      const result = await client.query(`
+        INSERT INTO clickup_folder (id, space_id, name, hidden, archived, orderindex, deleted_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NULL, CURRENT_TIMESTAMP)
+        ON CONFLICT (id) DO UPDATE SET
+          space_id = COALESCE(EXCLUDED.space_id, clickup_folder.space_id),
+          name = EXCLUDED.name,
+          hidden = EXCLUDED.hidden,
+          archived = EXCLUDED.archived,
+          orderindex = EXCLUDED.orderindex,
+          deleted_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `, [
+        String(folder.id),
+        space?.id ? String(space.id) : null,
+        folder.name,
+        !!folder.hidden,
+        !!folder.archived,
+        folder.orderindex ?? null
+      ]);
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Saves a list, making sure its space and folder exist
+   * @param {Object} list - List from the ClickUp API
+   * @param {Object} parents - Parent IDs, when the list doesn't carry them
+   * @param {string} parents.spaceId - ID of the list's space
+   * @param {string} parents.folderId - ID of the list's folder
+   * @returns {Promise<Object>} Saved row
+   */
+  async saveList(list, { spaceId = null, folderId = null } = {}) {
+    const space = list.space || (spaceId ? { id: spaceId } : null);
+    const folder = list.folder || (folderId ? { id: folderId } : null);
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await db.ensureLocations(client, { space, folder });
+
+      const result = await client.query(`
+        INSERT INTO clickup_list (id, space_id, folder_id, name, archived, orderindex, statuses, deleted_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, NULL, CURRENT_TIMESTAMP)
+        ON CONFLICT (id) DO UPDATE SET
+          space_id = COALESCE(EXCLUDED.space_id, clickup_list.space_id),
+          folder_id = COALESCE(EXCLUDED.folder_id, clickup_list.folder_id),
+          name = EXCLUDED.name,
+          archived = EXCLUDED.archived,
+          orderindex = EXCLUDED.orderindex,
+          statuses = COALESCE(EXCLUDED.statuses, clickup_list.statuses),
+          deleted_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `, [
+        String(list.id),
+        space?.id ? String(space.id) : null,
+        folder?.id ? String(folder.id) : null,
+        list.name,
+        !!list.archived,
+        list.orderindex ?? null,
+        list.statuses ? JSON.stringify(list.statuses) : null
+      ]);
+
+      if (Array.isArray(list.statuses)) {
+        await db.setListStatuses(client, list.id, list.statuses);
+      }
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Fetches a space, folder or list from ClickUp and saves it
+   * @param {string} kind - One of 'space', 'folder' or 'list'
+   * @param {string} id - ID of the location
+   * @returns {Promise<Object>} Location from the ClickUp API
+   */
+  async refresh(kind, id) {
+    switch (kind) {
+      case 'space': {
+        const space = await clickup.getSpace(id);
+        await this.saveSpace(space);
+        return space;
+      }
+      case 'folder': {
+        const folder = await clickup.getFolder(id);
+        await this.saveFolder(folder);
+        return folder;
+      }
+      case 'list': {
+        const list = await clickup.getList(id);
+        await this.saveList(list);
+        return list;
+      }
+      default:
+        throw new Error(`Invalid hierarchy location: ${kind}`);
+    }
+  }
+
+  /**
+   * Marks a space, folder or list as deleted. Rows are kept so tasks and
+   * history that reference them still resolve.
+   * @param {string} kind - One of 'space', 'folder' or 'list'
+   * @param {string} id - ID of the location
+   * @returns {Promise<boolean>} Whether the location was stored
+   */
+  async markDeleted(kind, id) {
+    const table = TABLES[kind];
+    if (!table) {
+      throw new Error(`Invalid hierarchy location: ${kind}`);
+    }
+
+    const result = await db.query(`
+      UPDATE ${table}
+      SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [String(id)]);
+    return result.rowCount > 0;
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new HierarchyService();
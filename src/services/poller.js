@@ -0,0 +1,161 @@
+// Required dependencies
+const db = require('../db');
+const clickup = require('./clickup');
+const sync = require('./sync');
+const taskTypeSync = require('./taskTypeSync');
+const config = require('../config/config');
+
+// sync_state key holding the date_updated high-water mark (ms)
+const WATERMARK_KEY = 'poll_watermark';
+// Advisory lock key so replicas don't poll at the same time
+const POLL_LOCK_KEY = 'clickup_poll';
+
+/**
+ * Service class that catches up on changes missed by webhooks by polling the
+ * filtered team tasks endpoint for tasks updated since a stored watermark
+ */
+class PollerService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Gets the current watermark, defaulting to the initial lookback window
+   * @returns {Promise<number>} Watermark in milliseconds
+   */
+  async getWatermark() {
+    const state = await db.getSyncState(WATERMARK_KEY);
+    if (state?.date_updated) {
+      return Number(state.date_updated);
+    }
+    return Date.now() - config.polling.initialLookbackHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Polls for tasks updated since the watermark and re-syncs them
+   * @returns {Promise<Object>} Summary of the poll, or { skipped: true } if another poll holds the lock
+   */
+  async pollOnce() {
+    const client = await db.pool.connect();
+    try {
+      const lock = await client.query(
+        'SELECT pg_try_advisory_lock(hashtext($1)) AS acquired',
+        [POLL_LOCK_KEY]
+      );
+      if (!lock.rows[0].acquired) {
+        console.log('[Poll] Another poll is in progress, skipping');
+        return { skipped: true };
+      }
+
+      try {
+        return await clickup.withPriority('background', () => this.syncChangedTasks());
+      } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [POLL_LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Syncs every task updated after the watermark, then advances it
+   * @returns {Promise<Object>} Summary of the poll
+   */
+  async syncChangedTasks() {
+    const watermark = await this.getWatermark();
+    console.log(`[Poll] Fetching tasks updated after ${new Date(watermark).toISOString()}`);
+
+    try {
+      await taskTypeSync.syncTaskTypes();
+    } catch (error) {
+      console.warn('[Poll] Continuing without refreshed task types:', error.message);
+    }
+
+    let page = 0;
+    let lastPage = false;
+    let maxUpdated = watermark;
+    let minFailedUpdated = null;
+    const summary = { tasksSeen: 0, tasksSynced: 0, tasksFailed: 0 };
+
+    while (!lastPage) {
+      const result = await clickup.getTeamTasksPage(config.clickup.workspaceId, page, {
+        dateUpdatedGt: watermark
+      });
+
+      for (const task of result.tasks) {
+        summary.tasksSeen++;
+        const updated = Number(task.date_updated) || watermark;
+
+        if (await this.syncTask(task)) {
+          summary.tasksSynced++;
+          maxUpdated = Math.max(maxUpdated, updated);
+        } else {
+          summary.tasksFailed++;
+          minFailedUpdated = minFailedUpdated === null ? updated : Math.min(minFailedUpdated, updated);
+        }
+      }
+
+      lastPage = result.lastPage || result.tasks.length === 0;
+      page++;
+    }
+
+    // Stop just short of the earliest failure so it is picked up again next poll
+    const nextWatermark = minFailedUpdated === null
+      ? maxUpdated
+      : Math.max(watermark, Math.min(maxUpdated, minFailedUpdated - 1));
+
+    if (nextWatermark > watermark) {
+      await db.setSyncState(WATERMARK_KEY, { date_updated: nextWatermark });
+    }
+
+    console.log('[Poll] Completed:', { ...summary, watermark: new Date(nextWatermark).toISOString() });
+    return { ...summary, watermark: nextWatermark };
+  }
+
+  /**
+   * Syncs a task from the poll results without re-fetching it
+   * @param {Object} task - Task from the ClickUp API
+   * @returns {Promise<boolean>} Whether the sync succeeded
+   */
+  async syncTask(task) {
+    const taskDetails = clickup.normalizeTask(task);
+    const result = await sync.syncTask(task.id, { taskDetails, syncTaskTypes: false, source: 'poll' });
+    if (!result.success) {
+      console.warn(`[Poll] Failed to sync task ${task.id}:`, result.error);
+    }
+    return result.success;
+  }
+
+  /**
+   * Starts polling on an interval
+   * @param {number} intervalMinutes - Minutes between polls
+   */
+  start(intervalMinutes = config.polling.intervalMinutes) {
+    if (this.timer || !intervalMinutes) return;
+
+    const schedule = () => {
+      this.timer = setTimeout(async () => {
+        try {
+          await this.pollOnce();
+        } catch (error) {
+          console.error('[Poll] Error:', error.message);
+        }
+        if (this.timer) schedule();
+      }, intervalMinutes * 60 * 1000);
+    };
+
+    schedule();
+    console.log(`[Poll] Polling every ${intervalMinutes} minutes`);
+  }
+
+  /**
+   * Stops scheduled polling
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new PollerService();
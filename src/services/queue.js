@@ -0,0 +1,210 @@
+// Required dependencies
+const db = require('../db');
+const config = require('../config/config');
+
+/**
+ * Service class for the Postgres-backed job queue stored in sync_job.
+ *
+ * Jobs move from pending to running when a worker claims them and end up
+ * completed or, once max_attempts is exhausted, failed. A running job whose
+ * locked_until has passed is treated as abandoned and can be claimed again.
+ */
+class QueueService {
+  /**
+   * Adds a job to the queue
+   * @param {string} type - Job type, used to pick the worker handler
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} options - Job options
+   * @param {number} options.priority - Higher priorities are claimed first
+   * @param {number} options.maxAttempts - Attempts before the job is failed
+   * @param {Date} options.runAt - Earliest time the job may run
+   * @param {Object} options.client - Database client, to enqueue inside a transaction
+   * @returns {Promise<Object>} Created job
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const {
+      priority = 0,
+      maxAttempts = config.queue.maxAttempts,
+      runAt = new Date(),
+      client = db
+    } = options;
+
+    const result = await client.query(`
+      INSERT INTO sync_job (type, payload, priority, max_attempts, run_at)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [type, JSON.stringify(payload), priority, maxAttempts, runAt]);
+
+    console.log(`[Queue] Enqueued ${type} job ${result.rows[0].id}`);
+    return result.rows[0];
+  }
+
+  /**
+   * Claims the next runnable job for a worker
+   * @param {string} workerId - ID of the claiming worker
+   * @returns {Promise<Object|null>} Claimed job or null if none is ready
+   */
+  async claim(workerId) {
+    const result = await db.query(`
+      UPDATE sync_job
+      SET status = 'running',
+          attempts = attempts + 1,
+          locked_by = $1,
+          locked_until = CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond',
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id
+        FROM sync_job
+        WHERE (status = 'pending' AND run_at <= CURRENT_TIMESTAMP)
+        OR (status = 'running' AND locked_until < CURRENT_TIMESTAMP)
+        ORDER BY priority DESC, run_at ASC
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING *
+    `, [workerId, config.queue.visibilityTimeout]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Marks a claimed job as completed
+   * @param {Object} job - Claimed job
+   * @param {Object} result - Handler result to store with the job
+   * @returns {Promise<boolean>} False if the job was no longer held by the worker
+   */
+  async complete(job, result = null) {
+    const update = await db.query(`
+      UPDATE sync_job
+      SET status = 'completed',
+          result = $3,
+          last_error = NULL,
+          locked_by = NULL,
+          locked_until = NULL,
+          completed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND locked_by = $2
+    `, [job.id, job.locked_by, JSON.stringify(result)]);
+
+    return update.rowCount > 0;
+  }
+
+  /**
+   * Records a failed attempt, scheduling a retry with exponential backoff or
+   * failing the job for good once its attempts are used up
+   * @param {Object} job - Claimed job
+   * @param {Error} error - Error raised by the handler
+   * @returns {Promise<string|null>} New status, or null if the job was no longer held
+   */
+  async fail(job, error) {
+    const terminal = job.attempts >= job.max_attempts;
+    const delay = Math.min(
+      config.queue.backoffBase * Math.pow(2, job.attempts - 1),
+      config.queue.backoffMax
+    );
+
+    const update = await db.query(`
+      UPDATE sync_job
+      SET status = $3,
+          last_error = $4,
+          run_at = CURRENT_TIMESTAMP + $5 * INTERVAL '1 millisecond',
+          locked_by = NULL,
+          locked_until = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND locked_by = $2
+    `, [job.id, job.locked_by, terminal ? 'failed' : 'pending', error.message, terminal ? 0 : delay]);
+
+    if (update.rowCount === 0) return null;
+
+    if (terminal) {
+      console.error(`[Queue] Job ${job.id} failed after ${job.attempts} attempts:`, error.message);
+    } else {
+      console.warn(`[Queue] Job ${job.id} attempt ${job.attempts} failed, retrying in ${delay}ms:`, error.message);
+    }
+    return terminal ? 'failed' : 'pending';
+  }
+
+  /**
+   * Returns a claimed job to the queue without using up an attempt, for
+   * work that couldn't run rather than failed
+   * @param {Object} job - Claimed job
+   * @param {Date} runAt - Earliest time the job may run again
+   * @returns {Promise<boolean>} False if the job was no longer held by the worker
+   */
+  async release(job, runAt = new Date()) {
+    const update = await db.query(`
+      UPDATE sync_job
+      SET status = 'pending',
+          attempts = GREATEST(attempts - 1, 0),
+          run_at = $3,
+          locked_by = NULL,
+          locked_until = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND locked_by = $2
+    `, [job.id, job.locked_by, runAt]);
+
+    return update.rowCount > 0;
+  }
+
+  /**
+   * Gets a job by ID
+   * @param {string} jobId - ID of the job
+   * @returns {Promise<Object|null>} Job or null if not found
+   */
+  async getJob(jobId) {
+    const result = await db.query('SELECT * FROM sync_job WHERE id = $1', [jobId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Lists jobs, most recent first
+   * @param {Object} options - Query options
+   * @param {string} options.status - Only return jobs with this status
+   * @param {number} options.limit - Maximum number of jobs
+   * @returns {Promise<Array>} Jobs
+   */
+  async listJobs({ status = null, limit = 100 } = {}) {
+    const result = await db.query(`
+      SELECT *
+      FROM sync_job
+      WHERE ($1::text IS NULL OR status = $1)
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [status, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Puts a failed job back in the queue with a fresh set of attempts
+   * @param {string} jobId - ID of the job
+   * @returns {Promise<Object|null>} Requeued job or null if it wasn't failed
+   */
+  async retry(jobId) {
+    const result = await db.query(`
+      UPDATE sync_job
+      SET status = 'pending',
+          attempts = 0,
+          run_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'failed'
+      RETURNING *
+    `, [jobId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Counts jobs by status
+   * @returns {Promise<Object>} Status to job count
+   */
+  async getStats() {
+    const result = await db.query(`
+      SELECT status, COUNT(*)::int as count
+      FROM sync_job
+      GROUP BY status
+    `);
+    return Object.fromEntries(result.rows.map(row => [row.status, row.count]));
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new QueueService();
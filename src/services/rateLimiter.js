@@ -0,0 +1,133 @@
+/**
+ * Request priorities, highest first. Interactive work such as manual syncs
+ * is served before webhook processing, which is served before backfills.
+ */
+const PRIORITY = {
+  interactive: 2,
+  normal: 1,
+  background: 0
+};
+
+/**
+ * Token bucket shared by every request to an API. Requests wait in a
+ * priority queue for a token; the bucket refills continuously at limit per
+ * interval and is corrected from the server's rate limit headers.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.limit - Requests allowed per interval
+   * @param {number} options.intervalMs - Length of the interval in ms
+   */
+  constructor({ limit = 100, intervalMs = 60 * 1000 } = {}) {
+    this.limit = limit;
+    this.intervalMs = intervalMs;
+    this.tokens = limit;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.waiting = [];
+    this.sequence = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Adds the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const earned = (now - this.lastRefill) * this.limit / this.intervalMs;
+    this.tokens = Math.min(this.limit, this.tokens + earned);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Waits for a token
+   * @param {number} priority - One of PRIORITY
+   * @returns {Promise<void>} Resolves when the request may be sent
+   */
+  acquire(priority = PRIORITY.normal) {
+    return new Promise(resolve => {
+      this.waiting.push({ priority, sequence: this.sequence++, resolve });
+      // Highest priority first, first come first served within a priority
+      this.waiting.sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+      this.drain();
+    });
+  }
+
+  /**
+   * Hands out available tokens and schedules the next drain if requests remain
+   */
+  drain() {
+    if (this.timer) return;
+
+    this.refill();
+    const now = Date.now();
+    while (this.waiting.length > 0 && now >= this.pausedUntil && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.waiting.shift().resolve();
+    }
+
+    if (this.waiting.length > 0) {
+      const wait = now < this.pausedUntil
+        ? this.pausedUntil - now
+        : Math.ceil((1 - this.tokens) * this.intervalMs / this.limit);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, Math.max(wait, 1));
+    }
+  }
+
+  /**
+   * Stops handing out tokens until the given time
+   * @param {number} time - Epoch milliseconds
+   */
+  pauseUntil(time) {
+    if (time <= this.pausedUntil) return;
+    this.pausedUntil = time;
+    this.tokens = 0;
+    console.warn(`[RateLimit] Paused until ${new Date(time).toISOString()}`);
+  }
+
+  /**
+   * Corrects the bucket from X-RateLimit-* response headers
+   * @param {Object} headers - Response headers (lower-case keys)
+   * @param {number} status - Response status code
+   */
+  updateFromHeaders(headers = {}, status = 200) {
+    const limit = parseInt(headers['x-ratelimit-limit'], 10);
+    const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    const reset = parseInt(headers['x-ratelimit-reset'], 10);
+
+    if (limit > 0) {
+      this.limit = limit;
+    }
+    if (remaining >= 0) {
+      // Other clients on the same token spend from the same budget
+      this.refill();
+      this.tokens = Math.min(this.tokens, remaining);
+    }
+
+    if (status === 429 || remaining === 0) {
+      // Reset is a Unix timestamp in seconds; fall back to a full interval
+      const resetAt = reset > 0 ? reset * 1000 : Date.now() + this.intervalMs;
+      this.pauseUntil(resetAt);
+    }
+  }
+
+  /**
+   * Gets the limiter state for monitoring
+   * @returns {Object} Current limit, tokens, queue length and pause
+   */
+  getState() {
+    this.refill();
+    return {
+      limit: this.limit,
+      tokens: Math.floor(this.tokens),
+      queued: this.waiting.length,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null
+    };
+  }
+}
+
+module.exports = { RateLimiter, PRIORITY };
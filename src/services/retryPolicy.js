@@ -0,0 +1,116 @@
+// Network error codes worth retrying; the request may not have reached ClickUp
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'ENOTFOUND',
+  'EAI_AGAIN'
+];
+
+// Methods that are safe to send twice
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+/**
+ * Retry policy with jittered exponential backoff. Retries network errors and
+ * configured status codes, honouring Retry-After when the server sends it.
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {number} options.maxAttempts - Total attempts, including the first
+   * @param {number} options.baseDelay - Backoff for the first retry in ms
+   * @param {number} options.maxDelay - Upper bound for any single wait in ms
+   * @param {Array<number>} options.retryableStatuses - Status codes to retry
+   */
+  constructor({
+    maxAttempts = 4,
+    baseDelay = 1000,
+    maxDelay = 30 * 1000,
+    retryableStatuses = [429, 500, 502, 503, 504]
+  } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.retryableStatuses = retryableStatuses;
+  }
+
+  /**
+   * Decides whether a failed request should be retried
+   * @param {Error} error - Error from axios
+   * @returns {boolean} Whether to retry
+   */
+  isRetryable(error) {
+    if (error.noRetry) return false;
+
+    const status = error.response?.status;
+    // A 429 was rejected before processing, so even a POST can be resent
+    if (status === 429) return true;
+
+    const method = (error.config?.method || 'get').toLowerCase();
+    if (!IDEMPOTENT_METHODS.includes(method)) return false;
+
+    if (status) return this.retryableStatuses.includes(status);
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * Computes how long to wait before the next attempt
+   * @param {number} attempt - Attempt that just failed, starting at 1
+   * @param {Error} error - Error from axios
+   * @returns {number} Delay in ms
+   */
+  getDelay(attempt, error) {
+    const retryAfter = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelay);
+    }
+
+    // The rate limiter already holds requests until the limit resets
+    if (error.response?.status === 429) return 0;
+
+    // Full jitter keeps concurrent retries from arriving together
+    const ceiling = Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Parses a Retry-After header given in seconds or as an HTTP date
+   * @param {string} value - Header value
+   * @returns {number|null} Delay in ms or null if absent or invalid
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Runs a request, retrying it according to the policy
+   * @param {Function} fn - Function performing the request
+   * @param {string} description - Request description for logs
+   * @returns {Promise} Result of the request
+   */
+  async execute(fn, description = 'request') {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (attempt >= this.maxAttempts || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = this.getDelay(attempt, error);
+        console.log(`[ClickUp] ${description} attempt ${attempt} failed (${error.response?.status || error.code || error.message}), retrying in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,378 @@
+// Required dependencies
+const db = require('../db');
+const clickup = require('./clickup');
+const fieldMappings = require('./fieldMappings');
+const { toDate, toHours } = require('./values');
+
+// Ways status reports can be grouped
+const REPORT_GROUPS = ['list', 'client', 'task_type', 'job'];
+
+// Work starts on entering a status of one of these types...
+const STARTED_TYPES = ['custom', 'done', 'closed'];
+
+// ...and finishes on entering one of these, as long as the task stays there
+const FINISHED_TYPES = ['done', 'closed'];
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Service class for list status workflows (list_status) and the time tasks
+ * spend in each status, derived from task_status_transition
+ */
+class StatusService {
+  /**
+   * Gets a list's status workflow
+   * @param {string} listId - ID of the list
+   * @param {Object} options - Query options
+   * @param {boolean} options.includeDeleted - Include statuses removed from the list
+   * @returns {Promise<Array>} Statuses in workflow order
+   */
+  async getListStatuses(listId, { includeDeleted = false } = {}) {
+    const result = await db.query(`
+      SELECT status, status_id, type, orderindex, color, deleted_at
+      FROM list_status
+      WHERE list_id = $1 AND ($2 OR deleted_at IS NULL)
+      ORDER BY orderindex NULLS LAST, status
+    `, [String(listId), includeDeleted]);
+    return result.rows;
+  }
+
+  /**
+   * Fills in a task's status history from before the change log with
+   * ClickUp's time in status. ClickUp only reports when each status was first
+   * entered, so earlier visits to a status the task returned to are lost;
+   * transitions already in the change log are kept as they are.
+   * @param {string} taskId - ID of the task, which must be stored
+   * @returns {Promise<number>} Number of transitions stored from ClickUp
+   */
+  async syncTaskTimeInStatus(taskId) {
+    const timeInStatus = await clickup.getTimeInStatus(taskId);
+    const byStatus = new Map();
+    for (const entry of [...(timeInStatus.status_history || []), timeInStatus.current_status].filter(Boolean)) {
+      const enteredAt = toDate(entry.total_time?.since);
+      if (entry.status && enteredAt) {
+        byStatus.set(entry.status.toLowerCase(), enteredAt);
+      }
+    }
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const logged = await client.query(`
+        SELECT MIN(entered_at) AS first_logged
+        FROM task_status_transition
+        WHERE task_id = $1 AND source = 'change_log'
+      `, [taskId]);
+      const firstLogged = logged.rows[0].first_logged;
+      const transitions = [...byStatus]
+        .filter(([, enteredAt]) => !firstLogged || enteredAt < firstLogged);
+
+      // Without anything from ClickUp the inferred starting status is kept
+      if (transitions.length > 0) {
+        await client.query(`
+          DELETE FROM task_status_transition
+          WHERE task_id = $1 AND source IN ('clickup', 'inferred')
+        `, [taskId]);
+        await client.query(`
+          INSERT INTO task_status_transition (task_id, status, entered_at, source)
+          SELECT $1, status, entered_at, 'clickup'
+          FROM unnest($2::text[], $3::timestamptz[]) AS transition(status, entered_at)
+          ON CONFLICT DO NOTHING
+        `, [taskId, transitions.map(([status]) => status), transitions.map(([, enteredAt]) => enteredAt)]);
+      }
+
+      await client.query('COMMIT');
+      return transitions.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Runs syncTaskTimeInStatus for every stored task of a list
+   * @param {string} listId - ID of the list
+   * @returns {Promise<Object>} { tasks, transitions, failed } counts
+   */
+  async syncListTimeInStatus(listId) {
+    const tasks = await db.query('SELECT id FROM clickup_task WHERE list_id = $1 ORDER BY id', [String(listId)]);
+    const counts = { tasks: tasks.rowCount, transitions: 0, failed: 0 };
+
+    for (const { id } of tasks.rows) {
+      try {
+        counts.transitions += await this.syncTaskTimeInStatus(id);
+      } catch (error) {
+        counts.failed++;
+        console.warn(`[Statuses] Failed to sync time in status of task ${id}:`, error.message);
+      }
+    }
+
+    console.log(`[Statuses] Synced time in status of list ${listId}:`, counts);
+    return counts;
+  }
+
+  /**
+   * Gets a task's status periods, the time spent in each status and its
+   * cycle time (from starting work to finishing) or, while unfinished, its
+   * age since work started
+   * @param {string} taskId - ID of the task
+   * @returns {Promise<Object|null>} Time in status or null if the task isn't stored
+   */
+  async getTaskTimeInStatus(taskId) {
+    const [task, periods] = await Promise.all([
+      db.query('SELECT id, name, status, date_created, date_closed FROM clickup_task WHERE id = $1', [taskId]),
+      db.query(`
+        SELECT status, status_type, status_orderindex, entered_at, exited_at, source,
+          (EXTRACT(EPOCH FROM COALESCE(exited_at, CURRENT_TIMESTAMP) - entered_at) * 1000)::bigint AS duration_ms
+        FROM task_status_period
+        WHERE task_id = $1
+        ORDER BY entered_at
+      `, [taskId])
+    ]);
+    if (task.rowCount === 0) {
+      return null;
+    }
+
+    const { name, status, date_created: dateCreated, date_closed: dateClosed } = task.rows[0];
+    const rows = periods.rows.map(period => ({ ...period, duration_ms: Number(period.duration_ms) }));
+
+    const statuses = new Map();
+    for (const period of rows) {
+      if (!statuses.has(period.status)) {
+        statuses.set(period.status, {
+          status: period.status,
+          type: period.status_type,
+          orderindex: period.status_orderindex,
+          visits: 0,
+          duration_ms: 0
+        });
+      }
+      const total = statuses.get(period.status);
+      total.visits++;
+      total.duration_ms += period.duration_ms;
+    }
+
+    const current = rows[rows.length - 1];
+    const startedAt = rows.find(period => STARTED_TYPES.includes(period.status_type))?.entered_at || null;
+    const finishedAt = current && FINISHED_TYPES.includes(current.status_type)
+      ? current.entered_at
+      : dateClosed;
+    const now = new Date();
+
+    return {
+      task_id: taskId,
+      name,
+      status,
+      status_since: current?.entered_at || null,
+      started_at: startedAt,
+      finished_at: finishedAt,
+      cycle_time_hours: startedAt && finishedAt ? toHours(finishedAt - startedAt) : null,
+      lead_time_hours: dateCreated && finishedAt ? toHours(finishedAt - dateCreated) : null,
+      age_hours: startedAt && !finishedAt ? toHours(now - startedAt) : null,
+      statuses: [...statuses.values()]
+        .sort((a, b) => (a.orderindex ?? Infinity) - (b.orderindex ?? Infinity))
+        .map(total => ({ ...total, hours: toHours(total.duration_ms) })),
+      periods: rows
+    };
+  }
+
+  /**
+   * Builds the common table expressions of the status reports: the tasks in
+   * scope with the group each falls in, and when each task started and
+   * finished. Uses parameters $1 (client field key), $2 (list ID), $3 (space
+   * ID), $4 (started types) and $5 (finished types).
+   * @param {string} groupBy - 'list', 'client', 'task_type' or 'job'
+   * @returns {string} WITH clause
+   */
+  buildReportScope(groupBy) {
+    if (!REPORT_GROUPS.includes(groupBy)) {
+      const error = new Error(`group_by must be one of ${REPORT_GROUPS.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const [groupId, groupName] = {
+      list: ['t.list_id', 'l.name'],
+      client: ['t.job_client', 't.job_client'],
+      task_type: ['COALESCE(ty.name, t.task_type_name)', 'COALESCE(ty.name, t.task_type_name)'],
+      job: ['t.job_id', 't.job_name']
+    }[groupBy];
+
+    return `
+      WITH RECURSIVE scope AS (
+        SELECT id, parent_id FROM clickup_task
+        WHERE ($2::text IS NULL OR list_id = $2)
+        AND ($3::text IS NULL OR space_id = $3)
+      ),
+      ancestry AS (
+        SELECT s.id AS task_id, s.id AS ancestor_id, s.parent_id, 0 AS depth
+        FROM scope s
+        UNION ALL
+        SELECT a.task_id, p.id, p.parent_id, a.depth + 1
+        FROM ancestry a
+        JOIN clickup_task p ON p.id = a.parent_id
+        WHERE a.depth < 50
+      ),
+      task_jobs AS (
+        SELECT DISTINCT ON (task_id) task_id, ancestor_id AS job_id
+        FROM ancestry
+        ORDER BY task_id, depth DESC
+      ),
+      tasks AS (
+        SELECT t.id, t.list_id, t.task_type_id, t.task_type_name, t.date_created, t.date_closed,
+          j.id AS job_id, j.name AS job_name,
+          COALESCE(j.field_values->$1::text->>'value', t.field_values->$1::text->>'value') AS job_client
+        FROM scope s
+        JOIN clickup_task t ON t.id = s.id
+        JOIN task_jobs tj ON tj.task_id = t.id
+        JOIN clickup_task j ON j.id = tj.job_id
+      ),
+      groups AS (
+        SELECT t.id AS task_id, t.date_created, t.date_closed,
+          ${groupId} AS group_id, ${groupName} AS group_name
+        FROM tasks t
+        LEFT JOIN clickup_list l ON l.id = t.list_id
+        LEFT JOIN task_types ty ON ty.id = t.task_type_id
+      ),
+      periods AS (
+        SELECT p.* FROM task_status_period p
+        WHERE p.task_id IN (SELECT id FROM scope)
+      ),
+      flow AS (
+        SELECT g.task_id, g.group_id, g.group_name, g.date_created,
+          MIN(p.entered_at) FILTER (WHERE p.status_type = ANY($4)) AS started_at,
+          COALESCE(
+            MAX(p.entered_at) FILTER (WHERE p.exited_at IS NULL AND p.status_type = ANY($5)),
+            g.date_closed
+          ) AS finished_at
+        FROM groups g
+        LEFT JOIN periods p ON p.task_id = g.task_id
+        GROUP BY g.task_id, g.group_id, g.group_name, g.date_created, g.date_closed
+      )
+    `;
+  }
+
+  /**
+   * Reports how long tasks spent in each status within a date range. Periods
+   * are cut to the range, so a task still in a status counts up to now.
+   * @param {Object} options - Report options
+   * @param {Date} options.start - Start of the range
+   * @param {Date} options.end - End of the range (exclusive)
+   * @param {string} options.groupBy - 'list' (default), 'client', 'task_type' or 'job'
+   * @param {string} options.listId - Only tasks in this list
+   * @param {string} options.spaceId - Only tasks in this space
+   * @returns {Promise<Array>} One row per group with its statuses in workflow order
+   */
+  async getTimeInStatusReport({ start, end, groupBy = 'list', listId = null, spaceId = null }) {
+    const scope = this.buildReportScope(groupBy);
+    const clientKey = await fieldMappings.getStorageKeyByName('Client');
+
+    const result = await db.query(`
+      ${scope}
+      SELECT
+        g.group_id,
+        g.group_name,
+        p.status,
+        MIN(p.status_type) AS status_type,
+        MIN(p.status_orderindex) AS status_orderindex,
+        COUNT(DISTINCT p.task_id)::int AS tasks,
+        (SUM(EXTRACT(EPOCH FROM LEAST(COALESCE(p.exited_at, CURRENT_TIMESTAMP), $7) - GREATEST(p.entered_at, $6))) * 1000)::bigint AS duration_ms
+      FROM periods p
+      JOIN groups g ON g.task_id = p.task_id
+      WHERE p.entered_at < $7 AND COALESCE(p.exited_at, CURRENT_TIMESTAMP) > $6
+      GROUP BY 1, 2, 3
+    `, [clientKey, listId, spaceId, STARTED_TYPES, FINISHED_TYPES, start, end]);
+
+    const groups = new Map();
+    for (const row of result.rows) {
+      if (!groups.has(row.group_id)) {
+        groups.set(row.group_id, { [groupBy]: row.group_id, name: row.group_name, hours: 0, statuses: [] });
+      }
+      const group = groups.get(row.group_id);
+      const hours = toHours(Number(row.duration_ms));
+      group.hours += hours;
+      group.statuses.push({
+        status: row.status,
+        type: row.status_type,
+        orderindex: row.status_orderindex,
+        tasks: row.tasks,
+        hours,
+        avg_hours_per_task: Math.round(hours / row.tasks * 100) / 100
+      });
+    }
+
+    return [...groups.values()]
+      .map(group => ({
+        ...group,
+        hours: Math.round(group.hours * 100) / 100,
+        statuses: group.statuses.sort((a, b) => (a.orderindex ?? Infinity) - (b.orderindex ?? Infinity))
+      }))
+      .sort((a, b) => b.hours - a.hours);
+  }
+
+  /**
+   * Reports throughput and cycle time of the tasks finished within a date
+   * range, and the count and age of the tasks still in progress
+   * @param {Object} options - Report options
+   * @param {Date} options.start - Start of the range
+   * @param {Date} options.end - End of the range (exclusive)
+   * @param {string} options.groupBy - 'list' (default), 'client', 'task_type' or 'job'
+   * @param {string} options.listId - Only tasks in this list
+   * @param {string} options.spaceId - Only tasks in this space
+   * @returns {Promise<Array>} One row per group, highest throughput first
+   */
+  async getCycleTimeReport({ start, end, groupBy = 'list', listId = null, spaceId = null }) {
+    const scope = this.buildReportScope(groupBy);
+    const clientKey = await fieldMappings.getStorageKeyByName('Client');
+
+    const result = await db.query(`
+      ${scope},
+      measured AS (
+        SELECT *,
+          finished_at >= $6 AND finished_at < $7 AS finished_in_range,
+          finished_at IS NULL AND started_at IS NOT NULL AS in_progress,
+          EXTRACT(EPOCH FROM finished_at - started_at) / 3600 AS cycle_hours,
+          EXTRACT(EPOCH FROM finished_at - date_created) / 3600 AS lead_hours,
+          EXTRACT(EPOCH FROM CURRENT_TIMESTAMP - started_at) / 3600 AS age_hours
+        FROM flow
+      )
+      SELECT
+        group_id,
+        group_name,
+        COUNT(*) FILTER (WHERE finished_in_range)::int AS throughput,
+        ROUND(AVG(cycle_hours) FILTER (WHERE finished_in_range)::numeric, 2)::float AS avg_cycle_hours,
+        ROUND((percentile_cont(0.5) WITHIN GROUP (ORDER BY cycle_hours) FILTER (WHERE finished_in_range))::numeric, 2)::float AS median_cycle_hours,
+        ROUND((percentile_cont(0.85) WITHIN GROUP (ORDER BY cycle_hours) FILTER (WHERE finished_in_range))::numeric, 2)::float AS p85_cycle_hours,
+        ROUND(AVG(lead_hours) FILTER (WHERE finished_in_range)::numeric, 2)::float AS avg_lead_hours,
+        COUNT(*) FILTER (WHERE in_progress)::int AS in_progress,
+        ROUND(AVG(age_hours) FILTER (WHERE in_progress)::numeric, 2)::float AS avg_age_hours,
+        ROUND(MAX(age_hours) FILTER (WHERE in_progress)::numeric, 2)::float AS max_age_hours
+      FROM measured
+      GROUP BY 1, 2
+      HAVING COUNT(*) FILTER (WHERE finished_in_range OR in_progress) > 0
+    `, [clientKey, listId, spaceId, STARTED_TYPES, FINISHED_TYPES, start, end]);
+
+    const weeks = (end - start) / (7 * 24 * MS_PER_HOUR);
+    return result.rows
+      .map(row => ({
+        [groupBy]: row.group_id,
+        name: row.group_name,
+        throughput: row.throughput,
+        throughput_per_week: weeks > 0 ? Math.round(row.throughput / weeks * 100) / 100 : null,
+        avg_cycle_hours: row.avg_cycle_hours,
+        median_cycle_hours: row.median_cycle_hours,
+        p85_cycle_hours: row.p85_cycle_hours,
+        avg_lead_hours: row.avg_lead_hours,
+        in_progress: row.in_progress,
+        avg_age_hours: row.avg_age_hours,
+        max_age_hours: row.max_age_hours
+      }))
+      .sort((a, b) => b.throughput - a.throughput || b.in_progress - a.in_progress);
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new StatusService();
@@ -3,6 +3,11 @@ const db = require('../db');
 const clickup = require('./clickup');
 const config = require('../config/config');
 const taskTypeSync = require('./taskTypeSync');
+const fieldMappings = require('./fieldMappings');
+const fieldNormalizer = require('./fieldNormalizer');
+const taskGraph = require('./taskGraph');
+const queue = require('./queue');
+const { toDate } = require('./values');
 
 /**
  * Service class to handle synchronization between ClickUp and local database
@@ -11,14 +16,25 @@ class SyncService {
   /**
    * Syncs custom fields from a ClickUp task to the local database
    * @param {string} taskId - ID of the task to sync
+   * @param {Object} options - Sync options
+   * @param {Object} options.taskDetails - Task already fetched from ClickUp, skips the API call
+   * @param {boolean} options.syncTaskTypes - Refresh task types first (default true)
+   * @param {string} options.source - What triggered the sync: 'webhook', 'manual'
+   *   (default), 'backfill' or 'poll'; recorded with each field change
+   * @param {Object} options.actor - ClickUp user who made the change, from webhook history items
+   * @param {string} options.historyItemId - Webhook history item that triggered the sync
+   * @param {Date} options.changedAt - When that history item's change was made
    */
-  async syncTaskCustomFields(taskId) {
+  async syncTaskCustomFields(taskId, options = {}) {
+    const {
+      syncTaskTypes = true, source = 'manual', actor = null, historyItemId = null, changedAt = null
+    } = options;
     try {
       console.log('\n=== Starting Task Sync ===');
       console.log(`[Sync] Task ID: ${taskId}`);
 
-      // Get task details from ClickUp
-      const taskDetails = await clickup.getTaskDetails(taskId);
+      // Get task details from ClickUp unless the caller already has them
+      const taskDetails = options.taskDetails || await clickup.getTaskDetails(taskId);
       console.log('[Sync] ClickUp Response:', {
         taskFound: !!taskDetails,
         taskName: taskDetails?.name,
@@ -30,86 +46,11 @@ class SyncService {
         return { success: false, error: 'Task not found in ClickUp' };
       }
 
-      // Check if task exists in database
-      const taskExists = await db.checkTaskExists(taskId);
-      console.log('[Sync] Task exists in DB:', taskExists);
-
-      if (!taskExists) {
-        console.log('[Sync] Creating new task record');
-        try {
-          const insertResult = await db.pool.query(`
-            INSERT INTO clickup_task (
-              id, 
-              _airbyte_raw_id,
-              _airbyte_extracted_at,
-              name,
-              text_content,
-              description,
-              status,
-              date_created,
-              date_updated,
-              creator,
-              custom_fields,
-              relationships,
-              field_values,
-              custom_type,
-              updated_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, CURRENT_TIMESTAMP)
-            RETURNING *
-          `, [
-            taskId,
-            `manual_${taskId}`,
-            new Date().toISOString(),
-            taskDetails.name,
-            taskDetails.text_content,
-            taskDetails.description,
-            taskDetails.status,
-            taskDetails.date_created ? new Date(taskDetails.date_created) : null,
-            taskDetails.date_updated ? new Date(taskDetails.date_updated) : null,
-            JSON.stringify(taskDetails.creator || {}),
-            JSON.stringify({}),
-            JSON.stringify({}),
-            JSON.stringify({}),
-            JSON.stringify(taskDetails.custom_type || {})
-          ]);
-          console.log('[Sync] Insert successful:', {
-            inserted: !!insertResult.rows[0],
-            rowId: insertResult.rows[0]?.id,
-            name: insertResult.rows[0]?.name
-          });
-        } catch (error) {
-          console.error('[Sync] Insert failed:', {
-            error: error.message,
-            detail: error.detail,
-            code: error.code
-          });
-          throw error;
-        }
-      }
-
-      // Verify task exists after potential creation
-      const verifyTask = await db.getTaskById(taskId);
-      console.log('[Sync] Task verification:', {
-        exists: !!verifyTask,
-        id: verifyTask?.id
-      });
-
-      if (!verifyTask) {
-        console.error('[Sync] Task still not found after creation attempt');
-        return { success: false, error: 'Failed to create/find task' };
-      }
-
       // First sync task types
-      await taskTypeSync.syncTaskTypes();
-      
-      // Update task type relationship if present
-      if (taskDetails.custom_type?.id) {
-        await taskTypeSync.updateTaskTypeRelationships(
-          taskId, 
-          taskDetails.custom_type.id
-        );
+      if (syncTaskTypes) {
+        await taskTypeSync.syncTaskTypes();
       }
-
+      
       // Log custom fields received
       console.log('Custom fields received:', {
         taskId,
@@ -130,7 +71,25 @@ class SyncService {
         fieldValues: {},
         name: taskDetails.name,
         status: taskDetails.status?.status || taskDetails.status,
-        description: taskDetails.description
+        description: taskDetails.description,
+        space: clickup.normalizeLocation('space', taskDetails.space),
+        folder: clickup.normalizeLocation('folder', taskDetails.folder),
+        list: clickup.normalizeLocation('list', taskDetails.list),
+        assignees: this.normalizeUsers(taskDetails.assignees),
+        watchers: this.normalizeUsers(taskDetails.watchers),
+        tags: Array.isArray(taskDetails.tags) ? taskDetails.tags : null,
+        creator: clickup.normalizeUser(taskDetails.creator),
+        // Tasks not stored yet are created in the same transaction
+        newTask: {
+          name: taskDetails.name,
+          text_content: taskDetails.text_content,
+          description: taskDetails.description,
+          status: taskDetails.status?.status || null,
+          date_created: toDate(taskDetails.date_created),
+          date_updated: toDate(taskDetails.date_updated),
+          creator: taskDetails.creator,
+          custom_type: taskDetails.custom_type
+        }
       };
 
       console.log('[Sync] Prepared field data:', {
@@ -157,19 +116,18 @@ class SyncService {
             original_name: field.name
           };
 
-          // Only process fields with values
+          // Only process fields with values; unmapped fields are kept under their name
           if (field.value !== null && field.value !== undefined) {
-            let normalizedValue = this.normalizeFieldValue(field);
-            if (normalizedValue !== null) {
-              const mappedField = this.mapFieldName(cleanName);
-              if (mappedField) {
-                fieldData.fieldValues[mappedField] = {
-                  value: normalizedValue,
-                  updated_at: new Date().toISOString(),
-                  field_id: field.id,
-                  original_name: field.name
-                };
-              }
+            const mapping = await fieldMappings.resolve(field, cleanName);
+            const normalized = this.normalizeFieldValue(field, mapping);
+            if (normalized && normalized.value !== null) {
+              const key = mapping ? fieldMappings.getStorageKey(mapping, cleanName) : cleanName;
+              fieldData.fieldValues[key] = {
+                ...normalized,
+                updated_at: new Date().toISOString(),
+                field_id: field.id,
+                original_name: field.name
+              };
             }
           }
         }
@@ -177,6 +135,14 @@ class SyncService {
         console.warn(`No custom fields array found for task ${taskId}`);
       }
 
+      // People in "users" fields are stored so the field can be joined to them
+      fieldData.referencedUsers = Object.values(fieldData.fieldValues)
+        .filter(entry => entry.type === 'users' && Array.isArray(entry.value))
+        .flatMap(entry => entry.value);
+
+      // Promoted fields are also written to their own columns
+      fieldData.columns = await fieldMappings.getColumnValues(fieldData.fieldValues);
+
       // Log what we're about to save
       console.log('Processed field data:', {
         taskId,
@@ -188,12 +154,25 @@ class SyncService {
         }))
       });
 
-      const updatedTask = await db.updateTaskCustomFields(taskId, fieldData);
+      const updatedTask = await db.updateTaskCustomFields(taskId, fieldData, { source, actor, historyItemId, changedAt });
       console.log('[Sync] Update result:', {
         success: !!updatedTask,
         taskId: updatedTask?.id
       });
 
+      if (!updatedTask) {
+        console.error('[Sync] Task not found after creation attempt');
+        return { success: false, error: 'Failed to create/find task' };
+      }
+
+      // Update task type relationship if present
+      if (taskDetails.custom_type?.id) {
+        await taskTypeSync.updateTaskTypeRelationships(
+          taskId, 
+          taskDetails.custom_type.id
+        );
+      }
+
       console.log('=== Sync Complete ===\n');
 
       return { 
@@ -211,119 +190,95 @@ class SyncService {
       return { 
         success: false, 
         error: error.message,
-        details: error.response?.data 
+        details: error.response?.data,
+        cause: error
       };
     }
   }
 
-  // Helper method to normalize field values
-  normalizeFieldValue(field, mapping) {
-    if (!mapping || !mapping.transform) return null;
-    
+  /**
+   * Syncs a task's custom fields, then its relationships, checklists, tags
+   * and attachments
+   * @param {string} taskId - ID of the task to sync
+   * @param {Object} options - Options passed to both syncs (see syncTaskCustomFields)
+   * @returns {Promise<Object>} { success, error, cause } result of the sync;
+   *   cause is the original error, so callers can tell an open circuit apart
+   */
+  async syncTask(taskId, options = {}) {
+    // Fetch the task once for both syncs
+    let taskDetails = options.taskDetails;
+    if (!taskDetails) {
+      try {
+        taskDetails = await clickup.getTaskDetails(taskId);
+      } catch (error) {
+        return { success: false, error: error.message, details: error.response?.data, cause: error };
+      }
+    }
+
+    const result = await this.syncTaskCustomFields(taskId, { ...options, taskDetails });
+    if (!result.success) {
+      return result;
+    }
+
     try {
-      return mapping.transform(field.value);
+      await this.syncTaskRelationships(taskId, { ...options, taskDetails });
+      await this.syncTaskContents(taskId, { taskDetails });
+      await this.queueMissingSubtasks(taskDetails);
+      return result;
     } catch (error) {
-      console.error(`Error normalizing field value:`, {field, error});
-      return null;
+      return { success: false, error: error.message, cause: error };
     }
   }
 
-  // Helper method to map field names and types
-  mapFieldName(cleanName) {
-    const fieldMap = {
-      'Status Updates': { 
-        column: 'status_updates', 
-        type: 'text',
-        transform: (value) => String(value)
-      },
-      'Client': { 
-        column: 'client', 
-        type: 'text',
-        transform: (value) => String(value)
-      },
-      'Start Job!': { 
-        column: 'start_job', 
-        type: 'timestamp',
-        transform: (value) => value ? new Date(value) : null
-      },
-      'Est. Revenue': { 
-        column: 'est_revenue', 
-        type: 'decimal',
-        transform: (value) => typeof value === 'number' ? value : null
-      },
-      'Est. Cost': { 
-        column: 'est_cost', 
-        type: 'decimal',
-        transform: (value) => typeof value === 'number' ? value : null
-      },
-      'Reason for Closed': { 
-        column: 'reason_for_closed', 
-        type: 'text',
-        transform: (value) => String(value)
-      },
-      'Job Name': { 
-        column: 'job_name', 
-        type: 'text',
-        transform: (value) => String(value)
-      },
-      'Milestone Date': { 
-        column: 'milestone_date', 
-        type: 'timestamp',
-        transform: (value) => value ? new Date(value) : null
-      },
-      'Hours per Day': { 
-        column: 'hours_per_day', 
-        type: 'integer',
-        transform: (value) => parseInt(value, 10)
-      },
-      // Additional fields stored in field_values JSONB
-      'Expected Revenue': { 
-        type: 'decimal',
-        transform: (value) => typeof value === 'number' ? value : null
-      },
-      'Current Fee': { 
-        type: 'decimal',
-        transform: (value) => typeof value === 'number' ? value : null
-      },
-      'Fee': { 
-        type: 'decimal',
-        transform: (value) => typeof value === 'number' ? value : null
-      },
-      'Time Left': { 
-        type: 'text',
-        transform: (value) => String(value)
-      },
-      'Estimated Fee': { 
-        type: 'decimal',
-        transform: (value) => typeof value === 'number' ? value : null
-      },
-      'Update Email': { 
-        type: 'text',
-        transform: (value) => String(value)
-      },
-      'Job Budget': { 
-        type: 'decimal',
-        transform: (value) => typeof value === 'number' ? value : null
-      }
-    };
+  /**
+   * Queues syncs for subtasks that came with a task's details but aren't
+   * stored yet, such as ones created since the last backfill
+   * @param {Object} taskDetails - Task from the ClickUp API
+   * @returns {Promise<number>} Number of syncs queued
+   */
+  async queueMissingSubtasks(taskDetails) {
+    const subtaskIds = (taskDetails.subtasks || []).map(subtask => String(subtask.id));
+    const missing = await db.getMissingTaskIds(subtaskIds);
+    for (const subtaskId of missing) {
+      await queue.enqueue('task_sync', { taskId: subtaskId });
+    }
+    if (missing.length > 0) {
+      console.log(`[Sync] Queued sync of ${missing.length} new subtasks of task ${taskDetails.id}`);
+    }
+    return missing.length;
+  }
+
+  // Helper method to normalize a task's assignees or watchers; null when the
+  // task details don't include them
+  normalizeUsers(users) {
+    if (!Array.isArray(users)) return null;
+    return users.map(user => clickup.normalizeUser(user)).filter(Boolean);
+  }
 
-    const mapping = fieldMap[cleanName];
-    if (!mapping) return null;
+  // Helper method to normalize a field by its ClickUp type, then apply the
+  // mapping's transform to the typed value
+  normalizeFieldValue(field, mapping) {
+    const normalized = fieldNormalizer.normalize(field);
+    if (!normalized || !mapping || normalized.value === null) return normalized;
 
-    return {
-      name: mapping.column || cleanName,
-      type: mapping.type,
-      transform: mapping.transform
-    };
+    try {
+      return { ...normalized, value: fieldMappings.transform(mapping, normalized.value) };
+    } catch (error) {
+      console.error(`Error normalizing field value:`, {field, error});
+      return null;
+    }
   }
 
   /**
-   * Syncs task relationships to the database
+   * Syncs task relationships to the database: the parent and task type, and
+   * the dependencies, linked tasks and "tasks" field references in task_links
    * @param {string} taskId - ID of the task to sync
+   * @param {Object} options - Sync options
+   * @param {Object} options.taskDetails - Task already fetched from ClickUp, skips the API call
    */
-  async syncTaskRelationships(taskId) {
+  async syncTaskRelationships(taskId, options = {}) {
     try {
-      const taskDetails = await clickup.getTaskDetails(taskId);
+      const taskDetails = options.taskDetails || await clickup.getTaskDetails(taskId);
       if (!taskDetails) {
         console.warn(`No task details found for ${taskId}, skipping sync`);
         return;
@@ -352,12 +307,88 @@ class SyncService {
       } else {
         console.warn('Task relationships update returned no data');
       }
+
+      const linkCount = await db.updateTaskLinks(taskId, taskGraph.extractLinks(taskDetails));
+      console.log(`[Sync] Stored ${linkCount} links for task ${taskId}`);
     } catch (error) {
       console.error(`Error syncing relationships for task ${taskId}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Syncs a task's checklists (with their nested items), tags and attachment
+   * metadata into their own tables. Collections missing from the task details
+   * are left as stored.
+   * @param {string} taskId - ID of the task to sync
+   * @param {Object} options - Sync options
+   * @param {Object} options.taskDetails - Task already fetched from ClickUp, skips the API call
+   * @returns {Promise<Object>} { checklists, items, tags, attachments } counts
+   */
+  async syncTaskContents(taskId, options = {}) {
+    const taskDetails = options.taskDetails || await clickup.getTaskDetails(taskId);
+
+    const checklists = Array.isArray(taskDetails.checklists)
+      ? taskDetails.checklists.map(checklist => ({
+        id: String(checklist.id),
+        name: checklist.name ?? null,
+        orderindex: checklist.orderindex ?? null,
+        items: this.flattenChecklistItems(checklist.items)
+      }))
+      : null;
+
+    const attachments = Array.isArray(taskDetails.attachments)
+      ? taskDetails.attachments
+        .filter(attachment => attachment.id && !attachment.deleted)
+        .map(attachment => ({
+          id: String(attachment.id),
+          title: attachment.title ?? null,
+          extension: attachment.extension ?? null,
+          mimetype: attachment.mimetype ?? null,
+          size: attachment.size ?? null,
+          url: attachment.url ?? null,
+          thumbnail_url: attachment.thumbnail_large || attachment.thumbnail_medium || attachment.thumbnail_small || null,
+          user: clickup.normalizeUser(attachment.user),
+          date_created: toDate(attachment.date)
+        }))
+      : null;
+
+    const tags = Array.isArray(taskDetails.tags) ? taskDetails.tags : null;
+
+    await db.updateTaskContents(taskId, {
+      spaceId: taskDetails.space?.id ? String(taskDetails.space.id) : null,
+      checklists,
+      tags,
+      attachments
+    });
+
+    const counts = {
+      checklists: checklists?.length ?? 0,
+      items: checklists?.reduce((total, checklist) => total + checklist.items.length, 0) ?? 0,
+      tags: tags?.length ?? 0,
+      attachments: attachments?.length ?? 0
+    };
+    console.log(`[Sync] Stored ${counts.checklists} checklists (${counts.items} items), ${counts.tags} tags and ${counts.attachments} attachments for task ${taskId}`);
+    return counts;
+  }
+
+  // Helper method to flatten checklist items and their nested children,
+  // keeping each child's parent item
+  flattenChecklistItems(items, parentId = null) {
+    return (items || []).flatMap(item => [
+      {
+        id: String(item.id),
+        parent_id: parentId,
+        name: item.name ?? null,
+        orderindex: item.orderindex ?? null,
+        resolved: !!item.resolved,
+        assignee: clickup.normalizeUser(item.assignee),
+        date_created: toDate(item.date_created)
+      },
+      ...this.flattenChecklistItems(item.children, String(item.id))
+    ]);
+  }
+
   /**
    * Syncs custom task types from the workspace
    */
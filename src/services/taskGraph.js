@@ -0,0 +1,277 @@
+// Required dependencies
+const db = require('../db');
+const fieldNormalizer = require('./fieldNormalizer');
+const fieldMappings = require('./fieldMappings');
+const { toDate, toNumber } = require('./values');
+
+// Numeric task columns that can be rolled up; other names are custom fields
+const ROLLUP_COLUMNS = ['time_spent', 'time_estimate', 'points'];
+
+// Fields rolled up when the caller asks for rollups without naming fields
+const DEFAULT_ROLLUP_FIELDS = ['Est. Cost', 'Est. Revenue', 'time_spent', 'points'];
+
+/**
+ * Gets how long a task is expected to take: its time estimate, or the span
+ * from its start date to its due date
+ * @param {Object} task - Task row
+ * @returns {number} Duration in milliseconds (0 when unknown)
+ */
+function getDuration(task) {
+  if (task.time_estimate) return Number(task.time_estimate);
+  if (task.start_date && task.due_date) {
+    return Math.max(new Date(task.due_date) - new Date(task.start_date), 0);
+  }
+  return 0;
+}
+
+/**
+ * Service class for the task graph: subtasks through parent_id, and
+ * dependencies, linked tasks and "tasks" custom fields through task_links
+ */
+class TaskGraphService {
+  /**
+   * Extracts the links of a task from its ClickUp details. Link types the
+   * task doesn't report come back as null so stored links aren't dropped.
+   * @param {Object} task - Task from the ClickUp API
+   * @returns {Object} Links by type, ready for db.updateTaskLinks
+   */
+  extractLinks(task) {
+    const taskId = String(task.id);
+    const links = { depends_on: null, linked: null, field: null };
+
+    // Each dependency reads "task_id is waiting on depends_on"
+    if (Array.isArray(task.dependencies)) {
+      links.depends_on = task.dependencies
+        .filter(dependency => dependency.task_id && dependency.depends_on)
+        .map(dependency => ({
+          task_id: String(dependency.task_id),
+          target_id: String(dependency.depends_on),
+          created_by: dependency.userid ? String(dependency.userid) : null,
+          date_created: toDate(dependency.date_created)
+        }));
+    }
+
+    // Links have no direction; each pair is stored with the lower ID first
+    if (Array.isArray(task.linked_tasks)) {
+      links.linked = task.linked_tasks
+        .filter(link => link.task_id && link.link_id)
+        .map(link => {
+          const [first, second] = [String(link.task_id), String(link.link_id)].sort();
+          return {
+            task_id: first,
+            target_id: second,
+            created_by: link.userid ? String(link.userid) : null,
+            date_created: toDate(link.date_created)
+          };
+        });
+    }
+
+    if (Array.isArray(task.custom_fields)) {
+      links.field = task.custom_fields
+        .filter(field => field.type === 'tasks')
+        .flatMap(field => (fieldNormalizer.normalize(field)?.value || [])
+          .filter(target => target.id)
+          .map(target => ({ task_id: taskId, target_id: String(target.id), field_id: field.id })));
+    }
+
+    return links;
+  }
+
+  /**
+   * Finds the critical path of a job: the chain of dependent subtasks under
+   * it that takes longest, using each task's time estimate (or start to due
+   * date span) as its duration
+   * @param {string} jobId - ID of the job's top-level task
+   * @returns {Promise<Object|null>} { job_id, duration_ms, path, tasks } or
+   *   null if the job isn't stored; path lists the critical tasks in order
+   *   and tasks gives every task's earliest start and finish offsets
+   * @throws {Error} With status 409 when the dependencies form a cycle
+   */
+  async getCriticalPath(jobId) {
+    const subgraph = await db.getTaskSubgraph(jobId);
+    if (subgraph.tasks.length === 0) {
+      return null;
+    }
+
+    // The job's own estimate usually covers its subtasks, so it only counts
+    // when it has none
+    const tasks = subgraph.tasks.length > 1
+      ? subgraph.tasks.filter(task => task.id !== jobId)
+      : subgraph.tasks;
+    const dependencies = subgraph.dependencies
+      .filter(({ task_id: taskId, target_id: targetId }) => taskId !== jobId && targetId !== jobId);
+
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const blockers = new Map(tasks.map(task => [task.id, []]));
+    const dependents = new Map(tasks.map(task => [task.id, []]));
+    for (const { task_id: taskId, target_id: targetId } of dependencies) {
+      blockers.get(taskId).push(targetId);
+      dependents.get(targetId).push(taskId);
+    }
+
+    // Topological order: a task comes after everything it waits on
+    const remaining = new Map(tasks.map(task => [task.id, blockers.get(task.id).length]));
+    const ready = tasks.filter(task => remaining.get(task.id) === 0).map(task => task.id);
+    const order = [];
+    while (ready.length > 0) {
+      const id = ready.shift();
+      order.push(id);
+      for (const dependent of dependents.get(id)) {
+        remaining.set(dependent, remaining.get(dependent) - 1);
+        if (remaining.get(dependent) === 0) {
+          ready.push(dependent);
+        }
+      }
+    }
+
+    if (order.length < tasks.length) {
+      const cycle = tasks.filter(task => remaining.get(task.id) > 0).map(task => task.id);
+      const error = new Error(`Dependencies under job ${jobId} form a cycle between tasks ${cycle.join(', ')}`);
+      error.status = 409;
+      throw error;
+    }
+
+    // Earliest finish of each task, and the blocker that decided its start
+    const start = new Map();
+    const finish = new Map();
+    const previous = new Map();
+    for (const id of order) {
+      let earliest = 0;
+      for (const blocker of blockers.get(id)) {
+        if (!previous.has(id) || finish.get(blocker) > earliest) {
+          earliest = finish.get(blocker);
+          previous.set(id, blocker);
+        }
+      }
+      start.set(id, earliest);
+      finish.set(id, earliest + getDuration(byId.get(id)));
+    }
+
+    let last = order[0];
+    for (const id of order) {
+      if (finish.get(id) > finish.get(last)) {
+        last = id;
+      }
+    }
+
+    const path = [];
+    for (let id = last; id; id = previous.get(id)) {
+      path.unshift(id);
+    }
+
+    const describe = id => {
+      const task = byId.get(id);
+      return {
+        id,
+        name: task.name,
+        status: task.status,
+        parent_id: task.parent_id,
+        duration_ms: getDuration(task),
+        earliest_start_ms: start.get(id),
+        earliest_finish_ms: finish.get(id)
+      };
+    };
+
+    return {
+      job_id: jobId,
+      duration_ms: finish.get(last),
+      path: path.map(describe),
+      tasks: order.map(describe)
+    };
+  }
+
+  /**
+   * Works out where each rollup field is read from: a task column, or the
+   * field_values key of a custom field given by name or storage key
+   * @param {Array<string>} fields - Field names
+   * @returns {Promise<Array<Object>>} { name, column } or { name, key }
+   */
+  async resolveRollupFields(fields) {
+    return Promise.all(fields.map(async name => (
+      ROLLUP_COLUMNS.includes(name)
+        ? { name, column: name }
+        : { name, key: await fieldMappings.getStorageKeyByName(name) }
+    )));
+  }
+
+  /**
+   * Gets a task's subtask tree. With rollups, every node gets the totals of
+   * the numeric fields and the status counts of its whole subtree, itself
+   * included.
+   * @param {string} taskId - ID of the top-level task
+   * @param {Object} options - Tree options
+   * @param {number} options.maxDepth - Levels to descend (default unlimited);
+   *   rollups only cover the levels returned
+   * @param {Array<string>|boolean} options.rollup - Fields to roll up, or true
+   *   for Est. Cost, Est. Revenue, time spent and points
+   * @returns {Promise<Object|null>} Root node with nested subtasks, or null if
+   *   the task isn't stored
+   */
+  async getTree(taskId, options = {}) {
+    const { maxDepth = null, rollup = false } = options;
+    const rows = await db.getTaskTree(taskId, { maxDepth });
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const fields = rollup
+      ? await this.resolveRollupFields(rollup === true ? DEFAULT_ROLLUP_FIELDS : rollup)
+      : [];
+
+    const nodes = new Map(rows.map(row => {
+      const node = {
+        id: row.id,
+        name: row.name,
+        status: row.status,
+        parent_id: row.parent_id,
+        depth: row.depth,
+        date_closed: row.date_closed,
+        subtasks: []
+      };
+      if (rollup) {
+        node.values = Object.fromEntries(fields.map(field => [
+          field.name,
+          toNumber(field.column ? row[field.column] : row.field_values?.[field.key]?.value)
+        ]));
+      }
+      return [row.id, node];
+    }));
+
+    const root = nodes.get(taskId);
+    for (const node of nodes.values()) {
+      if (node !== root) {
+        nodes.get(node.parent_id).subtasks.push(node);
+      }
+    }
+
+    if (rollup) {
+      // Rows are depth-first, so walking them backwards finishes every
+      // subtree before its parent
+      for (const row of [...rows].reverse()) {
+        const node = nodes.get(row.id);
+        const totals = { ...node.values };
+        const statusCounts = { [node.status || 'none']: 1 };
+        let taskCount = 1;
+
+        for (const subtask of node.subtasks) {
+          for (const [name, value] of Object.entries(subtask.rollup.totals)) {
+            if (value !== null) {
+              totals[name] = (totals[name] || 0) + value;
+            }
+          }
+          for (const [status, count] of Object.entries(subtask.rollup.status_counts)) {
+            statusCounts[status] = (statusCounts[status] || 0) + count;
+          }
+          taskCount += subtask.rollup.task_count;
+        }
+
+        node.rollup = { task_count: taskCount, totals, status_counts: statusCounts };
+      }
+    }
+
+    return root;
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new TaskGraphService();
@@ -0,0 +1,148 @@
+// Required dependencies
+const db = require('../db');
+const fieldMappings = require('./fieldMappings');
+
+// Tasks reconstructed per database round trip when building a snapshot
+const SNAPSHOT_BATCH_SIZE = 500;
+
+/**
+ * Service class that reconstructs tasks as they were at a point in time from
+ * the field_changes log.
+ *
+ * A field's value at time T is the old_value of its first change after T, or
+ * its current value when it hasn't changed since. Values from before a field
+ * was first synced aren't known and come back as unset.
+ */
+class TaskHistoryService {
+  /**
+   * Rolls tasks back to a point in time
+   * @param {Array<Object>} tasks - Current task rows
+   * @param {Date} asOf - Point in time
+   * @returns {Promise<Array<Object>>} Tasks as they were at asOf
+   */
+  async reconstruct(tasks, asOf) {
+    const changes = await db.getFirstChangesAfter(tasks.map(task => task.id), asOf);
+
+    // Promoted columns hold the same value as their field_values entry
+    const mappings = await fieldMappings.load();
+    const promotedColumns = new Set(
+      [...mappings.values()]
+        .filter(mapping => mapping.promoted && mapping.column_name)
+        .map(mapping => mapping.column_name)
+    );
+
+    const changesByTask = new Map();
+    for (const change of changes) {
+      if (!changesByTask.has(change.task_id)) {
+        changesByTask.set(change.task_id, []);
+      }
+      changesByTask.get(change.task_id).push(change);
+    }
+
+    return tasks.map(task => {
+      const snapshot = {
+        ...task,
+        field_values: { ...(task.field_values || {}) },
+        as_of: asOf.toISOString()
+      };
+
+      for (const change of changesByTask.get(task.id) || []) {
+        if (change.field_kind === 'core') {
+          snapshot[change.field_name] = change.old_value;
+          continue;
+        }
+
+        if (change.old_value === null) {
+          delete snapshot.field_values[change.field_name];
+        } else {
+          // raw and updated_at described the newer value, so they're dropped
+          const { raw, updated_at, ...entry } = snapshot.field_values[change.field_name] || {};
+          snapshot.field_values[change.field_name] = { ...entry, value: change.old_value };
+        }
+        if (promotedColumns.has(change.field_name)) {
+          snapshot[change.field_name] = change.old_value;
+        }
+      }
+
+      return snapshot;
+    });
+  }
+
+  /**
+   * Gets a task as it was at a point in time
+   * @param {string} taskId - ID of the task
+   * @param {Date} asOf - Point in time
+   * @returns {Promise<Object|null>} Task or null if it didn't exist then
+   */
+  async getTaskAsOf(taskId, asOf) {
+    const task = await db.getTaskById(taskId) || (await db.getDeletedTasks([taskId]))[0];
+    if (!task || (task.date_created && new Date(task.date_created) > asOf)) {
+      return null;
+    }
+    if (task.deleted_at && new Date(task.deleted_at) <= asOf) {
+      return null;
+    }
+
+    const [snapshot] = await this.reconstruct([task], asOf);
+    return snapshot;
+  }
+
+  /**
+   * Checks a reconstructed task against snapshot filters
+   * @param {Object} task - Reconstructed task
+   * @param {Object} filters - See getSnapshot
+   * @returns {boolean} Whether the task matches
+   */
+  matches(task, filters) {
+    if (filters.listId && String(task.list?.id) !== String(filters.listId)) return false;
+    if (filters.folderId && String(task.folder?.id) !== String(filters.folderId)) return false;
+    if (filters.spaceId && String(task.space?.id) !== String(filters.spaceId)) return false;
+    if (filters.status && String(task.status).toLowerCase() !== String(filters.status).toLowerCase()) return false;
+
+    if (filters.field) {
+      const entry = task.field_values[filters.field];
+      if (!entry) return false;
+      if (filters.value !== undefined && filters.value !== null) {
+        const value = typeof entry.value === 'object' ? JSON.stringify(entry.value) : String(entry.value);
+        if (value !== String(filters.value)) return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Gets all tasks matching a filter as they were at a point in time. Filters
+   * apply to the reconstructed values, so a task that has since moved or
+   * changed status is matched on where it was at asOf.
+   * @param {Date} asOf - Point in time
+   * @param {Object} filters - Snapshot filters
+   * @param {string} filters.listId - Only tasks in this list
+   * @param {string} filters.folderId - Only tasks in this folder
+   * @param {string} filters.spaceId - Only tasks in this space
+   * @param {string} filters.status - Only tasks with this status
+   * @param {string} filters.field - Only tasks with a value for this field_values key
+   * @param {string} filters.value - ...equal to this value
+   * @param {number} filters.limit - Maximum number of tasks (default 1000)
+   * @returns {Promise<Array<Object>>} Tasks as they were at asOf
+   */
+  async getSnapshot(asOf, filters = {}) {
+    const limit = filters.limit || 1000;
+    const tasks = [];
+    let afterId = null;
+
+    while (tasks.length < limit) {
+      const page = await db.getTasksCreatedBefore(asOf, afterId, SNAPSHOT_BATCH_SIZE);
+      if (page.length === 0) break;
+
+      const snapshots = await this.reconstruct(page, asOf);
+      tasks.push(...snapshots.filter(task => this.matches(task, filters)));
+      afterId = page[page.length - 1].id;
+    }
+
+    return tasks.slice(0, limit);
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new TaskHistoryService();
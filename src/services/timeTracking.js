@@ -0,0 +1,320 @@
+// Required dependencies
+const db = require('../db');
+const clickup = require('./clickup');
+const fieldMappings = require('./fieldMappings');
+const config = require('../config/config');
+const { toDate, toNumber, toHours } = require('./values');
+
+// Workspace entries are fetched a window at a time to keep responses small
+const SYNC_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Ways utilization can be grouped
+const UTILIZATION_GROUPS = ['person', 'client', 'job'];
+
+/**
+ * Service class that syncs ClickUp time entries into time_entry and reports
+ * utilization from them
+ */
+class TimeTrackingService {
+  /**
+   * Converts a time entry from the ClickUp API to a time_entry row
+   * @param {Object} entry - Time entry
+   * @returns {Object} Row values, with the entry's user
+   */
+  normalizeEntry(entry) {
+    // Running timers report a negative duration
+    const duration = toNumber(entry.duration);
+    return {
+      id: String(entry.id),
+      task_id: entry.task?.id ? String(entry.task.id) : null,
+      user: clickup.normalizeUser(entry.user),
+      workspace_id: entry.wid ? String(entry.wid) : null,
+      start_at: toDate(entry.start),
+      end_at: toDate(entry.end),
+      duration_ms: duration !== null && duration >= 0 ? duration : null,
+      description: entry.description || null,
+      billable: !!entry.billable,
+      tags: entry.tags || [],
+      source: entry.source || null
+    };
+  }
+
+  /**
+   * Saves time entries
+   * @param {Object} client - Database client inside the caller's transaction
+   * @param {Array<Object>} entries - Entries from normalizeEntry
+   */
+  async saveEntries(client, entries) {
+    await db.ensureUsers(client, entries.map(entry => entry.user).filter(Boolean));
+
+    for (const entry of entries) {
+      await client.query(`
+        INSERT INTO time_entry (
+          id, task_id, user_id, workspace_id, start_at, end_at, duration_ms,
+          description, billable, tags, source, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP)
+        ON CONFLICT (id) DO UPDATE SET
+          task_id = EXCLUDED.task_id,
+          user_id = EXCLUDED.user_id,
+          start_at = EXCLUDED.start_at,
+          end_at = EXCLUDED.end_at,
+          duration_ms = EXCLUDED.duration_ms,
+          description = EXCLUDED.description,
+          billable = EXCLUDED.billable,
+          tags = EXCLUDED.tags,
+          source = EXCLUDED.source,
+          updated_at = CURRENT_TIMESTAMP
+      `, [
+        entry.id,
+        entry.task_id,
+        entry.user ? String(entry.user.id) : null,
+        entry.workspace_id,
+        entry.start_at,
+        entry.end_at,
+        entry.duration_ms,
+        entry.description,
+        entry.billable,
+        JSON.stringify(entry.tags),
+        entry.source
+      ]);
+    }
+  }
+
+  /**
+   * Gets the users whose entries are requested: every workspace member, as
+   * ClickUp otherwise only returns the token owner's entries
+   * @returns {Promise<Array<string>>} User IDs
+   */
+  async getMemberIds() {
+    const result = await db.query('SELECT id FROM clickup_user WHERE is_member');
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Replaces a task's time entries with the ones ClickUp has, so edited and
+   * deleted entries are picked up too. Only the entries of the members asked
+   * for are replaced; before the member sync has run ClickUp returns just the
+   * token owner's entries, so nothing is removed then.
+   * @param {string} taskId - ID of the task
+   * @returns {Promise<number>} Number of entries stored for the task
+   */
+  async syncTaskEntries(taskId) {
+    const assignees = await this.getMemberIds();
+    const raw = await clickup.getTimeEntries(config.clickup.workspaceId, {
+      taskId,
+      startDate: 0,
+      endDate: Date.now(),
+      assignees
+    });
+    const entries = raw.map(entry => this.normalizeEntry(entry)).filter(entry => entry.start_at);
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await this.saveEntries(client, entries);
+      if (assignees.length > 0) {
+        await client.query(`
+          DELETE FROM time_entry
+          WHERE task_id = $1 AND user_id = ANY($2) AND NOT (id = ANY($3))
+        `, [taskId, assignees, entries.map(entry => entry.id)]);
+      } else {
+        console.warn(`[TimeTracking] No members stored, kept existing time entries of task ${taskId}; run the member sync`);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log(`[TimeTracking] Synced ${entries.length} time entries for task ${taskId}`);
+    return entries.length;
+  }
+
+  /**
+   * Syncs the workspace's time entries that started in a date range. Entries
+   * are added and updated; deletions are picked up by the task's next
+   * taskTimeTrackedUpdated event.
+   * @param {Date} start - Start of the range
+   * @param {Date} end - End of the range (exclusive)
+   * @returns {Promise<Object>} { start, end, entries } with the number synced
+   */
+  async syncRange(start, end) {
+    const assignees = await this.getMemberIds();
+    let total = 0;
+
+    for (let from = start.getTime(); from < end.getTime(); from += SYNC_WINDOW_MS) {
+      const to = Math.min(from + SYNC_WINDOW_MS, end.getTime());
+      const raw = await clickup.getTimeEntries(config.clickup.workspaceId, {
+        startDate: from,
+        endDate: to,
+        assignees
+      });
+      const entries = raw.map(entry => this.normalizeEntry(entry)).filter(entry => entry.start_at);
+
+      const client = await db.pool.connect();
+      try {
+        await client.query('BEGIN');
+        await this.saveEntries(client, entries);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+      total += entries.length;
+    }
+
+    console.log(`[TimeTracking] Synced ${total} time entries from ${start.toISOString()} to ${end.toISOString()}`);
+    return { start: start.toISOString(), end: end.toISOString(), entries: total };
+  }
+
+  /**
+   * Gets tracked time in a date range per person, task and day, together
+   * with the job (top-level task) each task belongs to and that job's Client
+   * and Hours per Day fields
+   * @param {Date} start - Start of the range
+   * @param {Date} end - End of the range (exclusive)
+   * @param {string|null} userId - Only this person's entries
+   * @returns {Promise<Array>} Rows with tracked_ms per user, task and work_date
+   */
+  async getTrackedDays(start, end, userId = null) {
+    const [hoursPerDayKey, clientKey] = await Promise.all([
+      fieldMappings.getStorageKeyByName('Hours per Day'),
+      fieldMappings.getStorageKeyByName('Client')
+    ]);
+
+    const result = await db.query(`
+      WITH RECURSIVE entries AS (
+        SELECT * FROM time_entry
+        WHERE start_at >= $1 AND start_at < $2 AND duration_ms > 0
+        AND ($6::text IS NULL OR user_id = $6)
+      ),
+      ancestry AS (
+        SELECT t.id AS task_id, t.id AS ancestor_id, t.parent_id, 0 AS depth
+        FROM clickup_task t
+        WHERE t.id IN (SELECT task_id FROM entries)
+        UNION ALL
+        SELECT a.task_id, p.id, p.parent_id, a.depth + 1
+        FROM ancestry a
+        JOIN clickup_task p ON p.id = a.parent_id
+        WHERE a.depth < 50
+      ),
+      task_jobs AS (
+        SELECT DISTINCT ON (task_id) task_id, ancestor_id AS job_id
+        FROM ancestry
+        ORDER BY task_id, depth DESC
+      ),
+      task_totals AS (
+        SELECT task_id, SUM(duration_ms) AS tracked_ms
+        FROM time_entry
+        WHERE task_id IN (SELECT task_id FROM entries) AND duration_ms > 0
+        GROUP BY task_id
+      )
+      SELECT
+        e.user_id,
+        u.username,
+        e.task_id,
+        t.name AS task_name,
+        t.time_estimate,
+        tt.tracked_ms AS task_tracked_ms,
+        j.id AS job_id,
+        j.name AS job_name,
+        COALESCE(j.field_values->$4->>'value', t.field_values->$4->>'value') AS client,
+        COALESCE(j.field_values->$3->>'value', t.field_values->$3->>'value') AS hours_per_day,
+        (e.start_at AT TIME ZONE $5)::date::text AS work_date,
+        SUM(e.duration_ms)::bigint AS tracked_ms
+      FROM entries e
+      LEFT JOIN clickup_user u ON u.id = e.user_id
+      LEFT JOIN clickup_task t ON t.id = e.task_id
+      LEFT JOIN task_jobs tj ON tj.task_id = e.task_id
+      LEFT JOIN clickup_task j ON j.id = tj.job_id
+      LEFT JOIN task_totals tt ON tt.task_id = e.task_id
+      GROUP BY 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11
+    `, [start, end, hoursPerDayKey, clientKey, config.timeTracking.timezone, userId]);
+    return result.rows;
+  }
+
+  /**
+   * Compares tracked hours in a date range with planned and estimated hours.
+   *
+   * Planned hours come from the Hours per Day field of the job (top-level
+   * task) worked on: each day a person tracks time on a job plans that job's
+   * Hours per Day for them. Estimates compare everything tracked so far on
+   * the tasks worked in the range with their time estimates.
+   * @param {Object} options - Report options
+   * @param {Date} options.start - Start of the range
+   * @param {Date} options.end - End of the range (exclusive)
+   * @param {string} options.groupBy - 'person' (default), 'client' or 'job'
+   * @param {string} options.userId - Only this person's entries
+   * @returns {Promise<Array>} One row per group, most hours tracked first
+   */
+  async getUtilization({ start, end, groupBy = 'person', userId = null }) {
+    if (!UTILIZATION_GROUPS.includes(groupBy)) {
+      const error = new Error(`group_by must be one of ${UTILIZATION_GROUPS.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const rows = await this.getTrackedDays(start, end, userId);
+    const groups = new Map();
+
+    for (const row of rows) {
+      const jobId = row.job_id || row.task_id;
+      const key = { person: row.user_id, client: row.client, job: jobId }[groupBy] ?? null;
+      const label = { person: row.username, client: row.client, job: row.job_name }[groupBy] ?? null;
+
+      if (!groups.has(key)) {
+        groups.set(key, { key, label, trackedMs: 0, plannedHours: 0, days: new Set(), unplannedDays: 0, tasks: new Map() });
+      }
+      const group = groups.get(key);
+      group.trackedMs += Number(row.tracked_ms);
+
+      const day = `${row.user_id}|${jobId}|${row.work_date}`;
+      if (!group.days.has(day)) {
+        group.days.add(day);
+        const hoursPerDay = toNumber(row.hours_per_day);
+        if (hoursPerDay) {
+          group.plannedHours += hoursPerDay;
+        } else {
+          group.unplannedDays++;
+        }
+      }
+
+      if (row.task_id) {
+        group.tasks.set(row.task_id, {
+          estimate: toNumber(row.time_estimate),
+          tracked: toNumber(row.task_tracked_ms) || 0
+        });
+      }
+    }
+
+    return [...groups.values()]
+      .map(group => {
+        const estimated = [...group.tasks.values()].filter(task => task.estimate);
+        const estimatedMs = estimated.reduce((sum, task) => sum + task.estimate, 0);
+        const trackedToDateMs = estimated.reduce((sum, task) => sum + task.tracked, 0);
+        const trackedHours = toHours(group.trackedMs);
+
+        return {
+          [groupBy]: group.key,
+          name: group.label,
+          tracked_hours: trackedHours,
+          planned_hours: group.plannedHours,
+          utilization: group.plannedHours > 0 ? Math.round(trackedHours / group.plannedHours * 1000) / 1000 : null,
+          days_worked: group.days.size,
+          days_without_hours_per_day: group.unplannedDays,
+          tasks: group.tasks.size,
+          estimated_hours: toHours(estimatedMs),
+          tracked_to_date_hours: toHours(trackedToDateMs),
+          estimate_used: estimatedMs > 0 ? Math.round(trackedToDateMs / estimatedMs * 1000) / 1000 : null
+        };
+      })
+      .sort((a, b) => b.tracked_hours - a.tracked_hours);
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new TimeTrackingService();
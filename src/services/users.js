@@ -0,0 +1,158 @@
+// Required dependencies
+const db = require('../db');
+const clickup = require('./clickup');
+const config = require('../config/config');
+
+// How a user can be related to a task
+const TASK_ROLES = ['assignee', 'watcher', 'creator'];
+
+/**
+ * Service class for workspace members in clickup_user and the tasks they are
+ * assigned to, watch or created
+ */
+class UserService {
+  /**
+   * Saves the workspace's members. Users that are no longer members are kept
+   * for the tasks and history that reference them, with is_member false.
+   * @returns {Promise<Object>} { members, removed } counts
+   */
+  async syncMembers() {
+    const members = await clickup.getWorkspaceMembers(config.clickup.workspaceId);
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (const member of members) {
+        await client.query(`
+          INSERT INTO clickup_user (id, username, email, initials, color, profile_picture, role, is_member, updated_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, true, CURRENT_TIMESTAMP)
+          ON CONFLICT (id) DO UPDATE SET
+            username = EXCLUDED.username,
+            email = EXCLUDED.email,
+            initials = EXCLUDED.initials,
+            color = EXCLUDED.color,
+            profile_picture = EXCLUDED.profile_picture,
+            role = EXCLUDED.role,
+            is_member = true,
+            updated_at = CURRENT_TIMESTAMP
+        `, [
+          String(member.id),
+          member.username ?? null,
+          member.email ?? null,
+          member.initials ?? null,
+          member.color ?? null,
+          member.profilePicture ?? null,
+          member.role ?? null
+        ]);
+      }
+
+      const removed = await client.query(`
+        UPDATE clickup_user
+        SET is_member = false, updated_at = CURRENT_TIMESTAMP
+        WHERE is_member AND NOT (id = ANY($1))
+      `, [members.map(member => String(member.id))]);
+
+      await client.query('COMMIT');
+      console.log(`[Users] Synced ${members.length} members, ${removed.rowCount} no longer members`);
+      return { members: members.length, removed: removed.rowCount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Lists users
+   * @param {Object} options - Query options
+   * @param {boolean} options.membersOnly - Only current workspace members
+   * @returns {Promise<Array>} Users ordered by username
+   */
+  async listUsers({ membersOnly = false } = {}) {
+    const result = await db.query(`
+      SELECT * FROM clickup_user
+      WHERE NOT $1 OR is_member
+      ORDER BY username NULLS LAST, id
+    `, [membersOnly]);
+    return result.rows;
+  }
+
+  /**
+   * Gets a user
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object|null>} User or null if not stored
+   */
+  async getUser(userId) {
+    const result = await db.query('SELECT * FROM clickup_user WHERE id = $1', [String(userId)]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Gets the tasks a user is assigned to, watches or created
+   * @param {string} userId - ID of the user
+   * @param {Object} options - Query options
+   * @param {string} options.role - 'assignee' (default), 'watcher' or 'creator'
+   * @param {boolean} options.openOnly - Skip closed tasks
+   * @param {number} options.limit - Maximum number of tasks (default 100)
+   * @returns {Promise<Array>} Tasks, soonest due first
+   */
+  async getUserTasks(userId, { role = 'assignee', openOnly = false, limit = 100 } = {}) {
+    if (!TASK_ROLES.includes(role)) {
+      const error = new Error(`role must be one of ${TASK_ROLES.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const membership = {
+      assignee: 'EXISTS (SELECT 1 FROM task_assignee a WHERE a.task_id = t.id AND a.user_id = $1)',
+      watcher: 'EXISTS (SELECT 1 FROM task_watcher w WHERE w.task_id = t.id AND w.user_id = $1)',
+      creator: 't.creator_id = $1'
+    }[role];
+
+    const result = await db.query(`
+      SELECT t.id, t.name, t.status, t.list_id, t.parent_id, t.due_date,
+        t.date_closed, t.time_estimate, t.time_spent, t.points
+      FROM clickup_task t
+      WHERE ${membership}
+      AND (NOT $2 OR t.date_closed IS NULL)
+      ORDER BY t.due_date NULLS LAST, t.id
+      LIMIT $3
+    `, [String(userId), openOnly, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Summarizes each person's open assigned work. Time estimates and time
+   * spent are in milliseconds, as ClickUp reports them.
+   * @param {Object} filters - Workload filters
+   * @param {string} filters.spaceId - Only tasks in this space
+   * @param {string} filters.listId - Only tasks in this list
+   * @returns {Promise<Array>} Per-user counts and totals, busiest first
+   */
+  async getWorkload({ spaceId = null, listId = null } = {}) {
+    const result = await db.query(`
+      SELECT
+        u.id AS user_id,
+        u.username,
+        u.email,
+        COUNT(*)::int AS open_tasks,
+        COUNT(*) FILTER (WHERE t.due_date < CURRENT_TIMESTAMP)::int AS overdue_tasks,
+        COALESCE(SUM(t.time_estimate), 0)::bigint AS time_estimate,
+        COALESCE(SUM(t.time_spent), 0)::bigint AS time_spent,
+        COALESCE(SUM(t.points), 0)::int AS points
+      FROM task_assignee a
+      JOIN clickup_user u ON u.id = a.user_id
+      JOIN clickup_task t ON t.id = a.task_id
+      WHERE t.date_closed IS NULL
+      AND ($1::text IS NULL OR t.space_id = $1)
+      AND ($2::text IS NULL OR t.list_id = $2)
+      GROUP BY u.id, u.username, u.email
+      ORDER BY open_tasks DESC, u.username
+    `, [spaceId, listId]);
+    return result.rows;
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new UserService();
@@ -0,0 +1,69 @@
+/**
+ * Converts a ClickUp millisecond timestamp (string or number) to a Date
+ * @param {string|number|null} value - Timestamp in milliseconds
+ * @returns {Date|null} Date or null when unset
+ */
+function toDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(Number(value));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Converts a ClickUp date value (milliseconds, as a number or string) or an
+ * ISO date string to a Date
+ * @param {any} value - Raw value
+ * @returns {Date|null} Date or null if the value isn't a valid date
+ */
+function parseDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Converts a ClickUp numeric value (often sent as a string) to an integer
+ * @param {string|number|null} value - Numeric value
+ * @returns {number|null} Integer or null when unset
+ */
+function toInteger(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseInt(value, 10);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Converts a stored column or field value to a number
+ * @param {any} value - Column or field value
+ * @returns {number|null} Number or null if not numeric
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Converts a ClickUp numeric custom field value (often sent as a string) to a
+ * number, reading the leading number of strings such as "12.5%"
+ * @param {any} value - Raw value
+ * @returns {number|null} Number or null if not numeric
+ */
+function parseNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Converts a duration to hours, rounded to two decimals
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {number|null} Hours or null when unset
+ */
+function toHours(ms) {
+  return ms === null || ms === undefined ? null : Math.round(ms / MS_PER_HOUR * 100) / 100;
+}
+
+module.exports = { toDate, parseDate, toInteger, toNumber, parseNumber, toHours };
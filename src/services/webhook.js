@@ -0,0 +1,138 @@
+// Required dependencies
+const crypto = require('crypto');
+const db = require('../db');
+const queue = require('./queue');
+const config = require('../config/config');
+
+/**
+ * Service class to authenticate and deduplicate incoming ClickUp webhooks
+ */
+class WebhookService {
+  /**
+   * Looks up the signing secret for a webhook
+   * @param {string} webhookId - ID of the webhook that sent the delivery
+   * @returns {Promise<string|null>} Secret or null if none is configured
+   */
+  async getSecret(webhookId) {
+    if (webhookId && config.webhook.secrets[webhookId]) {
+      return config.webhook.secrets[webhookId];
+    }
+
+    // Webhooks registered by this service have their secret stored
+    if (webhookId) {
+      const result = await db.query(
+        'SELECT secret FROM clickup_webhook WHERE id = $1',
+        [webhookId]
+      );
+      if (result.rows[0]?.secret) {
+        return result.rows[0].secret;
+      }
+    }
+
+    return config.webhook.secret || null;
+  }
+
+  /**
+   * Verifies the X-Signature header against an HMAC-SHA256 of the raw body
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {string} signature - Hex digest from the X-Signature header
+   * @param {string} webhookId - ID of the webhook that sent the delivery
+   * @returns {Promise<boolean>} Whether the signature is valid
+   */
+  async verifySignature(rawBody, signature, webhookId) {
+    if (!rawBody || !signature) return false;
+
+    const secret = await this.getSecret(webhookId);
+    if (!secret) {
+      console.warn(`[Webhook] No secret configured for webhook ${webhookId || '(unknown)'}`);
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    const received = Buffer.from(signature, 'hex');
+
+    // timingSafeEqual throws on length mismatch, so compare lengths first
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Builds the idempotency keys for a delivery. ClickUp redelivers the same
+   * history items on retry, so those ids identify an event; payloads without
+   * history items fall back to a hash of the body.
+   * @param {Object} payload - Parsed webhook body
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @returns {Array<string>} Keys to record for this delivery
+   */
+  getDeliveryKeys(payload, rawBody) {
+    const itemIds = (payload.history_items || [])
+      .map(item => item?.id)
+      .filter(Boolean)
+      .map(String);
+
+    if (itemIds.length > 0) return itemIds;
+    return [`body:${crypto.createHash('sha256').update(rawBody).digest('hex')}`];
+  }
+
+  /**
+   * Records a delivery, reporting whether it has been seen before
+   * @param {Object} payload - Parsed webhook body
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {Object} client - Database client to record the delivery with
+   * @returns {Promise<Object>} { duplicate, webhookId, keys } for the delivery
+   */
+  async claimDelivery(payload, rawBody, client = db) {
+    const webhookId = payload.webhook_id || '';
+    const keys = this.getDeliveryKeys(payload, rawBody);
+
+    const result = await client.query(`
+      INSERT INTO webhook_delivery (webhook_id, history_item_id, event, task_id)
+      SELECT $1, key, $3, $4 FROM unnest($2::text[]) AS key
+      ON CONFLICT (webhook_id, history_item_id) DO NOTHING
+      RETURNING history_item_id
+    `, [webhookId, keys, payload.event || null, payload.task_id || null]);
+
+    // Only a delivery where every key already existed is a pure redelivery
+    return {
+      duplicate: result.rowCount === 0,
+      webhookId,
+      keys: result.rows.map(row => row.history_item_id)
+    };
+  }
+
+  /**
+   * Records a delivery and queues it for processing in one transaction, so a
+   * delivery is either both recorded and queued or neither and ClickUp's
+   * retry goes through
+   * @param {Object} payload - Parsed webhook body
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @returns {Promise<Object>} { duplicate, job } - job is null for duplicates
+   */
+  async acceptDelivery(payload, rawBody) {
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const claim = await this.claimDelivery(payload, rawBody, client);
+      if (claim.duplicate) {
+        await client.query('ROLLBACK');
+        console.log('[Webhook] Skipping duplicate delivery:', {
+          webhookId: claim.webhookId,
+          event: payload.event
+        });
+        return { duplicate: true, job: null };
+      }
+
+      const job = await queue.enqueue('webhook', payload, { client });
+      await client.query('COMMIT');
+      return { duplicate: false, job };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new WebhookService();
@@ -0,0 +1,194 @@
+// Required dependencies
+const db = require('../db');
+const clickup = require('./clickup');
+const config = require('../config/config');
+
+/**
+ * Service class to register ClickUp webhooks for the workspace and keep the
+ * local clickup_webhook table in line with what ClickUp has on record
+ */
+class WebhookManager {
+  /**
+   * Strips the secret from a webhook record before it leaves the service
+   * @param {Object} webhook - Webhook row
+   * @returns {Object} Webhook safe to return from the API
+   */
+  toPublic(webhook) {
+    if (!webhook) return null;
+    const { secret, ...rest } = webhook;
+    return { ...rest, has_secret: !!secret };
+  }
+
+  /**
+   * Gets the webhooks stored for the configured workspace
+   * @returns {Promise<Array>} Stored webhooks
+   */
+  async listWebhooks() {
+    const result = await db.query(`
+      SELECT *
+      FROM clickup_webhook
+      WHERE workspace_id = $1
+      ORDER BY created_at ASC
+    `, [config.clickup.workspaceId]);
+    return result.rows;
+  }
+
+  /**
+   * Gets a stored webhook by ID
+   * @param {string} webhookId - ID of the webhook
+   * @returns {Promise<Object|null>} Webhook or null if not stored
+   */
+  async getWebhook(webhookId) {
+    const result = await db.query('SELECT * FROM clickup_webhook WHERE id = $1', [webhookId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Inserts or updates a webhook as returned by ClickUp. ClickUp only returns
+   * the secret in some responses, so a known secret is never overwritten with null.
+   * @param {Object} webhook - Webhook object from the ClickUp API
+   * @returns {Promise<Object>} Stored webhook
+   */
+  async saveWebhook(webhook) {
+    const result = await db.query(`
+      INSERT INTO clickup_webhook (id, workspace_id, endpoint, events, secret, status, health, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+      ON CONFLICT (id) DO UPDATE SET
+        endpoint = EXCLUDED.endpoint,
+        events = EXCLUDED.events,
+        secret = COALESCE(EXCLUDED.secret, clickup_webhook.secret),
+        status = EXCLUDED.status,
+        health = EXCLUDED.health,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      webhook.id,
+      config.clickup.workspaceId,
+      webhook.endpoint,
+      JSON.stringify(webhook.events || []),
+      webhook.secret || null,
+      webhook.health?.status || webhook.status || null,
+      JSON.stringify(webhook.health || {})
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Replaces the stored webhooks with what ClickUp currently reports
+   * @returns {Promise<Array>} Stored webhooks after the refresh
+   */
+  async refreshWebhooks() {
+    const webhooks = await clickup.getWebhooks(config.clickup.workspaceId);
+
+    for (const webhook of webhooks) {
+      await this.saveWebhook(webhook);
+    }
+
+    // Forget webhooks that were deleted in ClickUp
+    const ids = webhooks.map(webhook => webhook.id);
+    await db.query(`
+      DELETE FROM clickup_webhook
+      WHERE workspace_id = $1 AND NOT (id = ANY($2::text[]))
+    `, [config.clickup.workspaceId, ids]);
+
+    console.log(`[Webhooks] Refreshed ${webhooks.length} webhooks from ClickUp`);
+    return this.listWebhooks();
+  }
+
+  /**
+   * Creates a webhook in ClickUp and stores it with its secret
+   * @param {Object} options - Webhook definition
+   * @param {string} options.endpoint - URL ClickUp will deliver events to
+   * @param {Array<string>} options.events - Events to subscribe to
+   * @returns {Promise<Object>} Stored webhook
+   */
+  async createWebhook({ endpoint, events = config.webhook.events }) {
+    if (!endpoint) {
+      throw new Error('Webhook endpoint is required');
+    }
+
+    const webhook = await clickup.createWebhook(config.clickup.workspaceId, { endpoint, events });
+    console.log(`[Webhooks] Created webhook ${webhook.id} for ${endpoint}`);
+    return this.saveWebhook(webhook);
+  }
+
+  /**
+   * Updates a webhook in ClickUp and stores the result
+   * @param {string} webhookId - ID of the webhook
+   * @param {Object} changes - Fields to update (endpoint, events, status)
+   * @returns {Promise<Object>} Stored webhook
+   */
+  async updateWebhook(webhookId, { endpoint, events, status }) {
+    const existing = await this.getWebhook(webhookId);
+    const changes = {
+      endpoint: endpoint || existing?.endpoint,
+      events: events || existing?.events,
+      status
+    };
+    if (!changes.endpoint) {
+      throw new Error('Webhook endpoint is required');
+    }
+
+    const webhook = await clickup.updateWebhook(webhookId, changes);
+    console.log(`[Webhooks] Updated webhook ${webhookId}`);
+    return this.saveWebhook({ ...changes, ...webhook, id: webhookId });
+  }
+
+  /**
+   * Deletes a webhook in ClickUp and removes it locally
+   * @param {string} webhookId - ID of the webhook
+   */
+  async deleteWebhook(webhookId) {
+    await clickup.deleteWebhook(webhookId);
+    await db.query('DELETE FROM clickup_webhook WHERE id = $1', [webhookId]);
+    console.log(`[Webhooks] Deleted webhook ${webhookId}`);
+  }
+
+  /**
+   * Ensures exactly one active webhook delivers the given events to the
+   * endpoint, creating, updating or deleting webhooks to fix any drift
+   * @param {Object} options - Desired webhook
+   * @param {string} options.endpoint - URL ClickUp should deliver events to
+   * @param {Array<string>} options.events - Events to subscribe to
+   * @returns {Promise<Object>} Summary of the changes made
+   */
+  async reconcile({ endpoint = config.webhook.endpoint, events = config.webhook.events } = {}) {
+    if (!endpoint) {
+      throw new Error('Webhook endpoint is required');
+    }
+
+    const summary = { created: [], updated: [], deleted: [], unchanged: [] };
+    const webhooks = await this.refreshWebhooks();
+    const matching = webhooks.filter(webhook => webhook.endpoint === endpoint);
+
+    if (matching.length === 0) {
+      const created = await this.createWebhook({ endpoint, events });
+      summary.created.push(created.id);
+      return summary;
+    }
+
+    const [primary, ...duplicates] = matching;
+    const wantedEvents = [...events].sort();
+    const currentEvents = [...(primary.events || [])].sort();
+    const eventsDrifted = JSON.stringify(wantedEvents) !== JSON.stringify(currentEvents);
+
+    if (eventsDrifted || primary.status !== 'active') {
+      await this.updateWebhook(primary.id, { endpoint, events, status: 'active' });
+      summary.updated.push(primary.id);
+    } else {
+      summary.unchanged.push(primary.id);
+    }
+
+    // Duplicates would deliver every event more than once
+    for (const duplicate of duplicates) {
+      await this.deleteWebhook(duplicate.id);
+      summary.deleted.push(duplicate.id);
+    }
+
+    console.log('[Webhooks] Reconciled webhooks:', { endpoint, ...summary });
+    return summary;
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new WebhookManager();
@@ -0,0 +1,125 @@
+// Required dependencies
+const os = require('os');
+const queue = require('./queue');
+const clickup = require('./clickup');
+const { CircuitOpenError } = require('./circuitBreaker');
+const sync = require('./sync');
+const eventDispatcher = require('./eventDispatcher');
+const config = require('../config/config');
+
+/**
+ * Handlers for each job type. A handler throws to have the job retried.
+ */
+const jobHandlers = {
+  // ClickUp webhook delivery, already verified and deduplicated
+  webhook: async (payload) => clickup.withPriority('normal', () => eventDispatcher.dispatch(payload)),
+
+  // Manual sync of a single task; someone is waiting on it
+  task_sync: async ({ taskId }) => {
+    const result = await clickup.withPriority('interactive', () => sync.syncTask(taskId));
+    if (!result.success) {
+      // Rethrow the original error so an open circuit releases the job
+      throw result.cause || new Error(result.error || `Failed to sync task ${taskId}`);
+    }
+    return { taskId, success: true };
+  }
+};
+
+/**
+ * Service class that runs queued jobs through their handlers
+ */
+class Worker {
+  constructor() {
+    this.handlers = { ...jobHandlers };
+    this.running = false;
+    this.loops = [];
+  }
+
+  /**
+   * Starts polling the queue
+   * @param {number} concurrency - Number of jobs processed in parallel
+   */
+  start(concurrency = config.queue.concurrency) {
+    if (this.running) return;
+    this.running = true;
+
+    for (let slot = 0; slot < concurrency; slot++) {
+      const workerId = `${os.hostname()}:${process.pid}:${slot}`;
+      this.loops.push(this.runLoop(workerId));
+    }
+    console.log(`[Worker] Started ${concurrency} workers`);
+  }
+
+  /**
+   * Stops polling and waits for in-flight jobs to finish
+   */
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+    await Promise.all(this.loops);
+    this.loops = [];
+    console.log('[Worker] Stopped');
+  }
+
+  /**
+   * Claims and processes jobs until the worker is stopped
+   * @param {string} workerId - ID recorded on claimed jobs
+   */
+  async runLoop(workerId) {
+    while (this.running) {
+      try {
+        // Leave jobs queued while ClickUp is failing instead of burning their attempts
+        if (clickup.isCircuitOpen()) {
+          await new Promise(resolve => setTimeout(resolve, config.queue.pollInterval * 5));
+          continue;
+        }
+
+        const job = await queue.claim(workerId);
+        if (!job) {
+          await new Promise(resolve => setTimeout(resolve, config.queue.pollInterval));
+          continue;
+        }
+        await this.runJob(job);
+      } catch (error) {
+        // Queue unavailable (e.g. database restart); back off and keep polling
+        console.error(`[Worker] ${workerId} error:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, config.queue.pollInterval * 5));
+      }
+    }
+  }
+
+  /**
+   * Runs a claimed job and records the outcome
+   * @param {Object} job - Claimed job
+   */
+  async runJob(job) {
+    const handler = this.handlers[job.type];
+    if (!handler) {
+      await queue.fail({ ...job, attempts: job.max_attempts }, new Error(`No handler for job type ${job.type}`));
+      return;
+    }
+
+    // Abandoned by a crashed worker more times than it may be attempted
+    if (job.attempts > job.max_attempts) {
+      await queue.fail(job, new Error(job.last_error || 'Visibility timeout exceeded'));
+      return;
+    }
+
+    console.log(`[Worker] Running ${job.type} job ${job.id} (attempt ${job.attempts})`);
+    try {
+      const result = await handler(job.payload, job);
+      await queue.complete(job, result);
+      console.log(`[Worker] Completed ${job.type} job ${job.id}`);
+    } catch (error) {
+      if (error instanceof CircuitOpenError) {
+        console.warn(`[Worker] ClickUp circuit open, returning ${job.type} job ${job.id} to the queue`);
+        await queue.release(job, new Date(error.retryAt));
+        return;
+      }
+      await queue.fail(job, error);
+    }
+  }
+}
+
+// Export a singleton instance of the service
+module.exports = new Worker();